@@ -3,6 +3,14 @@
  * API endpoints, cache settings, and application constants
  */
 
+/**
+ * Resolve a site-relative path against this module rather than the page,
+ * so pages in subdirectories (docs/) load the same data files
+ * @param {string} path - Path relative to the site root
+ * @returns {string} Absolute URL
+ */
+export const fromSiteRoot = (path) => new URL(`../${path}`, import.meta.url).href;
+
 /**
  * API Endpoints Configuration
  */
@@ -11,6 +19,7 @@ export const API_ENDPOINTS = {
   github: {
     repo: 'https://api.github.com/repos/yeachan-heo/oh-my-claudecode',
     releases: 'https://api.github.com/repos/yeachan-heo/oh-my-claudecode/releases/latest',
+    releaseList: 'https://api.github.com/repos/yeachan-heo/oh-my-claudecode/releases',
     rawContent: 'https://raw.githubusercontent.com/yeachan-heo/oh-my-claudecode/main',
   },
 
@@ -22,7 +31,11 @@ export const API_ENDPOINTS = {
 
   /** Local data files */
   local: {
-    stats: './data/stats.json',
+    stats: fromSiteRoot('data/stats.json'),
+    statsHistory: fromSiteRoot('data/stats-history.json'),
+    content: fromSiteRoot('data/content.json'),
+    releases: fromSiteRoot('data/releases.json'),
+    searchIndex: fromSiteRoot('data/search-index.json'),
   },
 };
 
@@ -41,6 +54,21 @@ export const CACHE_CONFIG = {
 
   /** Maximum cache entries to prevent storage bloat */
   maxEntries: 50,
+
+  /** Storage budget for cached entries in bytes, IndexedDB ones included (1 MB of the ~5 MB localStorage quota) */
+  maxBytes: 1024 * 1024,
+
+  /** Entries larger than this many bytes go to IndexedDB instead of localStorage (64 KB) */
+  indexedDBThreshold: 64 * 1024,
+
+  /** How long expired entries are kept for stale-while-revalidate before the startup sweep drops them (24 hours) */
+  staleRetention: 24 * 60 * 60 * 1000,
+
+  /** Stats auto-refresh interval in milliseconds (5 minutes) */
+  refreshInterval: 5 * 60 * 1000,
+
+  /** Upper bound for the auto-refresh backoff after failures (1 hour) */
+  maxRefreshInterval: 60 * 60 * 1000,
 };
 
 /**
@@ -53,6 +81,9 @@ export const APP_CONFIG = {
   /** Short name */
   shortName: 'OMC',
 
+  /** Released version the site documents (exposed as window.OMC.version) */
+  version: '4.13.0',
+
   /** GitHub repository URL */
   repoUrl: 'https://github.com/yeachan-heo/oh-my-claudecode',
 
@@ -61,6 +92,9 @@ export const APP_CONFIG = {
 
   /** npm package URL */
   npmUrl: 'https://www.npmjs.com/package/oh-my-claude-sisyphus',
+
+  /** Service worker script, at the site root so its scope covers docs/ too */
+  serviceWorkerUrl: fromSiteRoot('sw.js'),
 };
 
 /**
@@ -106,8 +140,39 @@ export const UI_CONFIG = {
   scrollOffset: 80,
 };
 
+/**
+ * Locale Configuration
+ */
+export const LOCALE_CONFIG = {
+  /** Locale for number and date formatting - null follows the browser */
+  locale: null,
+
+  /** Locale used when the preferred one isn't supported by Intl */
+  fallback: 'en',
+
+  /** How often live relative timestamps re-render, in milliseconds */
+  tickInterval: 15 * 1000,
+};
+
+/**
+ * Search Configuration
+ */
+export const SEARCH_CONFIG = {
+  /**
+   * Pages covered by the search index, as site-relative paths
+   * content is a `tag.class` selector for the elements holding the indexed
+   * headings and text (scripts/build-search-index.mjs only understands that form)
+   */
+  pages: [
+    { path: 'docs/index.html', title: 'Docs', content: 'div.docs-content' },
+    { path: 'index.html', title: 'Home', content: 'section.section' },
+  ],
+};
+
 /**
  * Feature Flags
+ * Defaults only - read flags through featureFlags (services/featureFlags.js),
+ * which applies `?ff=` and persisted overrides
  */
 export const FEATURES = {
   /** Enable scroll reveal animations */
@@ -131,6 +196,8 @@ export const FEATURES = {
 
 /**
  * Get the full cache key with version
+ * @deprecated storageService namespaces and versions its own entries; keys
+ * under this prefix are removed by its startup sweep
  * @param {string} key - Base cache key
  * @returns {string} Versioned cache key
  */
@@ -197,7 +264,10 @@ export default {
   APP_CONFIG,
   ANIMATION_CONFIG,
   UI_CONFIG,
+  LOCALE_CONFIG,
+  SEARCH_CONFIG,
   FEATURES,
+  fromSiteRoot,
   getCacheKey,
   prefersReducedMotion,
   getViewport,
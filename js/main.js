@@ -3,11 +3,20 @@
  * Initializes all services, UI components, and event handlers
  */
 
-import { APP_CONFIG as CONFIG, FEATURES, prefersReducedMotion, UI_CONFIG } from './config.js';
+import { APP_CONFIG as CONFIG, CACHE_CONFIG, prefersReducedMotion, UI_CONFIG } from './config.js';
+import { featureFlags } from './services/featureFlags.js';
+import { RefreshScheduler } from './services/refreshScheduler.js';
 import { statsService } from './services/statsService.js';
 import { storageService } from './services/storageService.js';
+import { CommandPalette } from './ui/commandPalette.js';
+import { initDebugPanel, toggleDebugPanel } from './ui/debugPanel.js';
 import { initScrollReveal, observeElement, staggerReveal } from './ui/scrollReveal.js';
+import { initReleaseNotes } from './ui/releaseNotes.js';
+import { SearchService } from './ui/searchService.js';
+import { initServiceWorker } from './ui/serviceWorker.js';
 import { Skeletons } from './ui/skeletons.js';
+import { bindStats, formatStat } from './ui/statBindings.js';
+import { initTheme } from './ui/theme.js';
 
 /**
  * Application State
@@ -19,6 +28,15 @@ const AppState = {
   viewport: 'desktop',
 };
 
+/**
+ * Stats auto-refresh scheduler (null when the statsAutoRefresh flag is off)
+ * @type {RefreshScheduler|null}
+ */
+let statsRefresh = null;
+
+/** localStorage key recording the build the caches were filled by */
+const BUILD_KEY = 'omc_build';
+
 /**
  * Utility: Safe requestIdleCallback with fallback to setTimeout
  * @param {Function} callback - Function to execute
@@ -47,18 +65,30 @@ async function initializeServices() {
     console.debug('[Main] No cached stats available');
   }
 
-  // Check for service worker support and register if available
+  await purgeCachesOnVersionChange();
+
+  // Register the service worker and prompt when a new build is ready
   if ('serviceWorker' in navigator) {
-    scheduleIdleWork(() => {
-      navigator.serviceWorker
-        .register('/sw.js')
-        .then((registration) => {
-          console.debug('[Main] ServiceWorker registered:', registration.scope);
-        })
-        .catch((error) => {
-          console.debug('[Main] ServiceWorker registration failed:', error);
-        });
-    });
+    scheduleIdleWork(initServiceWorker);
+  }
+}
+
+/**
+ * Drop the StorageService Cache API bucket when the site version changes
+ * Responses cached by an older build may not match what this build expects
+ */
+async function purgeCachesOnVersionChange() {
+  const build = `${CONFIG.version}+${CACHE_CONFIG.version}`;
+
+  try {
+    const previous = localStorage.getItem(BUILD_KEY);
+    if (previous && previous !== build) {
+      await storageService.clearCacheAPI();
+      console.debug(`[Main] Version changed (${previous} -> ${build}), purged cached responses`);
+    }
+    localStorage.setItem(BUILD_KEY, build);
+  } catch (error) {
+    console.debug('[Main] Could not check cached build version:', error);
   }
 }
 
@@ -67,13 +97,16 @@ async function initializeServices() {
  * Set up scroll reveal, skeletons, and lazy loading
  */
 function initializeUI() {
+  // Apply the theme chosen from the command palette
+  initTheme();
+
   // Initialize skeleton styles
-  if (FEATURES.skeletons) {
+  if (featureFlags.isEnabled('skeletons')) {
     Skeletons.init();
   }
 
   // Initialize scroll reveal for elements with [data-reveal]
-  if (FEATURES.scrollReveal) {
+  if (featureFlags.isEnabled('scrollReveal')) {
     initScrollReveal({
       selector: '[data-reveal]',
       visibleClass: 'revealed',
@@ -132,7 +165,7 @@ function setupLazyLoading() {
  * Triggers entrance animation with character stagger effect
  */
 function initHeroAnimation() {
-  if (!FEATURES.heroAnimation || AppState.reducedMotion) {
+  if (!featureFlags.isEnabled('heroAnimation') || AppState.reducedMotion) {
     // Show hero immediately without animation
     const heroElements = document.querySelectorAll('.hero [data-animate]');
     heroElements.forEach((el) => {
@@ -202,28 +235,100 @@ function animateTitleCharacters(titleElement) {
 
 /**
  * Stats Loading
- * Fetch stats and update hero badges only
+ * Fetch stats and fill every [data-stat] binding
+ * @param {boolean} force - Bypass the cache and hit the live APIs
  */
-async function loadStats() {
+async function loadStats(force = false) {
   try {
-    const stats = await statsService.get();
+    const stats = force ? await statsService.refresh() : await statsService.get();
     AppState.statsLoaded = true;
+    bindStats(stats);
+  } catch (error) {
+    console.error('[Main] Failed to load stats:', error);
+  }
+}
+
+/**
+ * Refetch live stats and trends, bypassing the cache
+ * @returns {Promise<void>}
+ */
+function forceRefreshStats() {
+  return loadStats(true).then(loadStatsHistory);
+}
+
+/**
+ * Stats Trends
+ * Show week-over-week growth next to the hero badge totals
+ */
+async function loadStatsHistory() {
+  try {
+    const history = await statsService.getHistory('month');
+
+    const deltas = {
+      'hero-stars-delta': history.deltas.stars.week,
+      'hero-downloads-delta': history.deltas.downloads.week,
+    };
 
-    // Update hero stat badges
-    const heroStars = document.getElementById('hero-stars');
-    const heroDownloads = document.getElementById('hero-downloads');
-    const heroVersion = document.getElementById('hero-version');
+    Object.entries(deltas).forEach(([id, delta]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
 
-    const fmt = (n) => n >= 1000000 ? (n / 1000000).toFixed(1) + 'M' : n >= 1000 ? (n / 1000).toFixed(1) + 'k' : n.toString();
+      // Only surface growth - a flat or negative week isn't worth a badge
+      if (delta === null || delta <= 0) {
+        el.hidden = true;
+        return;
+      }
 
-    if (heroStars) heroStars.textContent = stats.stars ? fmt(stats.stars) : '---';
-    if (heroDownloads) heroDownloads.textContent = stats.downloads ? fmt(stats.downloads) : '---';
-    if (heroVersion) heroVersion.textContent = stats.version || '---';
+      el.textContent = formatStat(delta, 'compact', 'thisWeek');
+      el.hidden = false;
+    });
   } catch (error) {
-    console.error('[Main] Failed to load stats:', error);
+    console.debug('[Main] Failed to load stats history:', error);
   }
 }
 
+/**
+ * Stats Auto-Refresh
+ * Periodically refetch stats; pauses while the tab is hidden and backs off on failures
+ */
+function initStatsAutoRefresh() {
+  if (!featureFlags.isEnabled('statsAutoRefresh')) return;
+
+  statsRefresh = new RefreshScheduler(refreshStatsOnce, {
+    interval: CACHE_CONFIG.refreshInterval,
+    maxInterval: CACHE_CONFIG.maxRefreshInterval,
+    minGap: CACHE_CONFIG.duration,
+  });
+  statsRefresh.start();
+
+  if (document.hidden) {
+    statsRefresh.pause();
+  }
+}
+
+/**
+ * One auto-refresh run
+ * @returns {Promise<boolean>} False if any stats provider failed, so the scheduler backs off
+ */
+async function refreshStatsOnce() {
+  // Not refresh(): providers still within their TTL (and rate-limit backoff) are reused
+  const stats = await statsService.revalidate();
+  bindStats(stats);
+  loadStatsHistory();
+
+  const providers = Object.values(statsService.getProviderStatus());
+  return !providers.some((provider) => provider.lastError);
+}
+
+/**
+ * Site Search
+ * Nav search box and the Cmd/Ctrl+K command palette; results on the docs page link there
+ */
+function initSearch() {
+  if (!featureFlags.isEnabled('docSearch') || !document.getElementById('search-input')) return;
+
+  new CommandPalette({ search: new SearchService() });
+}
 
 /**
  * Event Listeners
@@ -242,6 +347,12 @@ function setupEventListeners() {
   // Smooth scroll for anchor links
   setupSmoothScroll();
 
+  // Re-render badges when a background stats refresh lands
+  window.addEventListener('stats:updated', (event) => {
+    bindStats(event.detail);
+    loadStatsHistory();
+  });
+
   // Handle visibility change (pause animations when tab hidden)
   document.addEventListener('visibilitychange', handleVisibilityChange);
 
@@ -363,13 +474,6 @@ function setupKeyboardShortcuts() {
     // Ignore if inside input/textarea
     if (event.target.matches('input, textarea')) return;
 
-    // Cmd/Ctrl + K: Focus search
-    if ((event.metaKey || event.ctrlKey) && event.key === 'k') {
-      event.preventDefault();
-      const searchInput = document.querySelector('.search-input');
-      searchInput?.focus();
-    }
-
     // Escape: Close mobile menu, modals
     if (event.key === 'Escape') {
       const menuToggle = document.querySelector('.menu-toggle');
@@ -422,8 +526,10 @@ function handleVisibilityChange() {
   if (document.hidden) {
     // Pause expensive operations when tab is hidden
     document.body.classList.add('is-inactive');
+    statsRefresh?.pause();
   } else {
     document.body.classList.remove('is-inactive');
+    statsRefresh?.resume();
   }
 }
 
@@ -553,9 +659,14 @@ async function init() {
 
     // Phase 3: Load stats (non-blocking, shows skeletons)
     loadStats();
+    loadStatsHistory();
+    initReleaseNotes();
 
     // Phase 4: Event listeners
     setupEventListeners();
+    initStatsAutoRefresh();
+    initSearch();
+    initDebugPanel({ onRefresh: forceRefreshStats });
 
     // Phase 5: Non-critical features (deferred)
     initializeNonCritical();
@@ -580,11 +691,13 @@ if (document.readyState === 'loading') {
 
 // Expose minimal API for debugging
 window.OMC = {
-  version: '4.13.0',
+  version: CONFIG.version,
   state: AppState,
   stats: statsService,
   storage: storageService,
-  refreshStats: () => loadStats(),
+  flags: featureFlags,
+  refreshStats: forceRefreshStats,
+  debug: toggleDebugPanel,
 };
 
 // Default export for module systems
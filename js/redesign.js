@@ -6,7 +6,6 @@ import { debounce, throttle } from './config.js';
 
 export class RedesignUI {
   constructor() {
-    this.tiltElements = document.querySelectorAll('[data-tilt]');
     this.parallaxElements = document.querySelectorAll('[data-parallax]');
     this.init();
   }
@@ -19,30 +18,36 @@ export class RedesignUI {
 
   /**
    * Interactive 3D Tilt Effect for cards
+   * Delegated from the document, so cards rendered later (release notes) tilt too
    */
   setupTiltEffect() {
-    this.tiltElements.forEach(el => {
-      el.addEventListener('mousemove', (e) => {
-        const rect = el.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        const centerX = rect.width / 2;
-        const centerY = rect.height / 2;
-        
-        const rotateX = (y - centerY) / 10;
-        const rotateY = (centerX - x) / 10;
-        
-        el.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(10px)`;
-        
-        // Update mouse position for glow effect if present
-        el.style.setProperty('--mouse-x', `${(x / rect.width) * 100}%`);
-        el.style.setProperty('--mouse-y', `${(y / rect.height) * 100}%`);
-      });
+    document.addEventListener('mousemove', (e) => {
+      const el = e.target.closest?.('[data-tilt]');
+      if (!el) return;
 
-      el.addEventListener('mouseleave', () => {
-        el.style.transform = `perspective(1000px) rotateX(0) rotateY(0) translateZ(0)`;
-      });
+      const rect = el.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      
+      const centerX = rect.width / 2;
+      const centerY = rect.height / 2;
+      
+      const rotateX = (y - centerY) / 10;
+      const rotateY = (centerX - x) / 10;
+      
+      el.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(10px)`;
+      
+      // Update mouse position for glow effect if present
+      el.style.setProperty('--mouse-x', `${(x / rect.width) * 100}%`);
+      el.style.setProperty('--mouse-y', `${(y / rect.height) * 100}%`);
+    });
+
+    // mouseleave doesn't bubble; mouseout does, so check the pointer really left the card
+    document.addEventListener('mouseout', (e) => {
+      const el = e.target.closest?.('[data-tilt]');
+      if (!el || el.contains(e.relatedTarget)) return;
+
+      el.style.transform = `perspective(1000px) rotateX(0) rotateY(0) translateZ(0)`;
     });
   }
 
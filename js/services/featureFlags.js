@@ -0,0 +1,181 @@
+/**
+ * Feature Flags
+ * Resolves the effective value of each flag in FEATURES, layering (highest first):
+ *   1. the `ff` query parameter, e.g. `?ff=-scrollReveal,+docSearch` (this page load only)
+ *   2. overrides persisted in localStorage via setOverride()
+ *   3. the defaults in config.js
+ */
+
+import { FEATURES } from '../config.js';
+
+/**
+ * @typedef {Object} FlagState
+ * @property {boolean} value - Effective value
+ * @property {'url'|'storage'|'default'} source - Layer the value came from
+ */
+
+/** Query parameter carrying per-load overrides */
+const QUERY_PARAM = 'ff';
+
+/** localStorage key for persisted overrides; outside storageService so clearing caches keeps them */
+const STORAGE_KEY = 'omc-feature-flags';
+
+class FeatureFlags {
+  /**
+   * @param {Object<string, boolean>} defaults - Flag defaults
+   * @param {string} [search] - Query string to read overrides from
+   */
+  constructor(defaults, search = typeof window !== 'undefined' ? window.location.search : '') {
+    this.defaults = { ...defaults };
+
+    /** @type {Object<string, boolean>} */
+    this.urlOverrides = this.parse(new URLSearchParams(search).get(QUERY_PARAM));
+  }
+
+  /**
+   * Check whether a flag is on
+   * @param {string} name - Flag name from FEATURES
+   * @returns {boolean} False for unknown flags
+   */
+  isEnabled(name) {
+    return this.resolve(name)?.value ?? false;
+  }
+
+  /**
+   * Get every flag with its effective value and where it came from
+   * @returns {Object<string, FlagState>}
+   */
+  getState() {
+    const state = {};
+    Object.keys(this.defaults).forEach((name) => {
+      state[name] = this.resolve(name);
+    });
+    return state;
+  }
+
+  /**
+   * Get every flag's effective value
+   * @returns {Object<string, boolean>} Same shape as FEATURES
+   */
+  getAll() {
+    const values = {};
+    Object.entries(this.getState()).forEach(([name, state]) => {
+      values[name] = state.value;
+    });
+    return values;
+  }
+
+  /**
+   * Persist an override for later page loads
+   * The `ff` query parameter still wins while present.
+   * @param {string} name - Flag name from FEATURES
+   * @param {boolean|null} value - Override, or null to go back to the default
+   * @returns {boolean} False if the flag is unknown or storage is unavailable
+   */
+  setOverride(name, value) {
+    if (!(name in this.defaults)) return false;
+
+    const overrides = this.getStoredOverrides();
+    if (value === null || value === undefined) {
+      delete overrides[name];
+    } else {
+      overrides[name] = Boolean(value);
+    }
+
+    try {
+      if (Object.keys(overrides).length > 0) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+      return true;
+    } catch (error) {
+      console.debug('[FeatureFlags] Could not persist override:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Drop every persisted override
+   */
+  clearOverrides() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage unavailable - nothing persisted
+    }
+  }
+
+  /**
+   * Resolve one flag through the override layers
+   * @private
+   * @param {string} name
+   * @returns {FlagState|null} null for unknown flags
+   */
+  resolve(name) {
+    if (!(name in this.defaults)) return null;
+
+    if (name in this.urlOverrides) {
+      return { value: this.urlOverrides[name], source: 'url' };
+    }
+
+    const stored = this.getStoredOverrides();
+    if (name in stored) {
+      return { value: stored[name], source: 'storage' };
+    }
+
+    return { value: Boolean(this.defaults[name]), source: 'default' };
+  }
+
+  /**
+   * Read persisted overrides, ignoring unknown flags and non-boolean values
+   * @private
+   * @returns {Object<string, boolean>}
+   */
+  getStoredOverrides() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      const overrides = {};
+      Object.entries(saved).forEach(([name, value]) => {
+        if (name in this.defaults && typeof value === 'boolean') {
+          overrides[name] = value;
+        }
+      });
+      return overrides;
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Parse an `ff` value: comma-separated names, `-` turns a flag off,
+   * `+` (or no prefix) turns it on
+   * @private
+   * @param {string|null} value
+   * @returns {Object<string, boolean>}
+   */
+  parse(value) {
+    const overrides = {};
+    if (!value) return overrides;
+
+    value.split(',').forEach((token) => {
+      const match = token.trim().match(/^([+-]?)(\w+)$/);
+      if (!match) return;
+
+      const [, sign, name] = match;
+      if (!(name in this.defaults)) {
+        console.debug(`[FeatureFlags] Unknown flag in ?${QUERY_PARAM}: ${name}`);
+        return;
+      }
+      overrides[name] = sign !== '-';
+    });
+
+    return overrides;
+  }
+}
+
+// Export singleton instance
+export const featureFlags = new FeatureFlags(FEATURES);
+
+// Default export for convenience
+export default featureFlags;
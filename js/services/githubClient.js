@@ -0,0 +1,222 @@
+/**
+ * GitHub Client
+ * Rate-limit-aware fetch wrapper for the GitHub REST API with conditional requests
+ */
+
+import { storageService } from './storageService.js';
+
+/**
+ * Rate limit state reported by GitHub
+ * @typedef {Object} RateLimitState
+ * @property {number|null} limit - Requests allowed per window
+ * @property {number|null} remaining - Requests left in the current window
+ * @property {number|null} resetAt - Epoch ms when the window resets
+ * @property {boolean} blocked - Whether requests are currently suspended
+ */
+
+/** Storage key for the backoff state shared across page loads */
+const BACKOFF_KEY = 'github:backoff';
+
+/** Storage key prefix for ETag-validated responses */
+const ETAG_KEY_PREFIX = 'github:etag:';
+
+/** How long to keep ETag-validated responses around (24 hours) */
+const ETAG_TTL = 24 * 60 * 60 * 1000;
+
+/** Backoff used when GitHub rejects a request without a usable reset time (1 minute) */
+const DEFAULT_BACKOFF = 60 * 1000;
+
+class GitHubClient {
+  constructor() {
+    /** @type {RateLimitState} */
+    this.rateLimit = {
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      blocked: false,
+    };
+  }
+
+  /**
+   * GET a GitHub API URL and parse the JSON body
+   * Sends If-None-Match for previously seen responses and serves 304s from cache.
+   * Throws without touching the network while a rate-limit backoff is active.
+   * @param {string} url - Full API URL
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async get(url) {
+    const resetAt = this.getBackoffUntil();
+    if (resetAt) {
+      throw this.createRateLimitError(resetAt);
+    }
+
+    // Large bodies (e.g. release lists) live in IndexedDB, which get() can't read
+    const cached = await storageService.getAsync(this.getEtagKey(url));
+    const headers = {
+      Accept: 'application/vnd.github.v3+json',
+    };
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+
+    const response = await fetch(url, { headers, cache: 'no-store' });
+    this.updateRateLimit(response);
+
+    // Not modified - the cached body is still current
+    if (response.status === 304 && cached) {
+      return cached.body;
+    }
+
+    if (!response.ok) {
+      if (this.isRateLimited(response)) {
+        const until = this.getResetTime(response);
+        await this.setBackoff(until);
+        throw this.createRateLimitError(until);
+      }
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    const etag = response.headers.get('ETag');
+    if (etag) {
+      storageService.set(this.getEtagKey(url), { etag, body }, ETAG_TTL);
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the last known rate limit state
+   * @returns {RateLimitState}
+   */
+  getRateLimit() {
+    const resetAt = this.getBackoffUntil();
+    return {
+      ...this.rateLimit,
+      resetAt: resetAt || this.rateLimit.resetAt,
+      blocked: Boolean(resetAt),
+    };
+  }
+
+  /**
+   * Record rate limit headers from a response
+   * Starts a backoff as soon as the quota reads exhausted, so the next call
+   * doesn't have to fail first
+   * @private
+   * @param {Response} response
+   */
+  updateRateLimit(response) {
+    const limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+    const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+    const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+
+    if (!Number.isNaN(limit)) this.rateLimit.limit = limit;
+    if (!Number.isNaN(remaining)) this.rateLimit.remaining = remaining;
+    if (!Number.isNaN(reset)) this.rateLimit.resetAt = reset * 1000;
+
+    if (remaining === 0) {
+      this.setBackoff(this.getResetTime(response));
+    }
+  }
+
+  /**
+   * Check whether a failed response is a primary or secondary rate limit
+   * @private
+   * @param {Response} response
+   * @returns {boolean}
+   */
+  isRateLimited(response) {
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+
+    return response.headers.get('X-RateLimit-Remaining') === '0' ||
+      response.headers.has('Retry-After');
+  }
+
+  /**
+   * Work out when requests may resume
+   * @private
+   * @param {Response} response
+   * @returns {number} Epoch ms
+   */
+  getResetTime(response) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (!Number.isNaN(retryAfter)) {
+      return Date.now() + retryAfter * 1000;
+    }
+
+    const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+    if (!Number.isNaN(reset) && reset * 1000 > Date.now()) {
+      return reset * 1000;
+    }
+
+    return Date.now() + DEFAULT_BACKOFF;
+  }
+
+  /**
+   * Persist a backoff until the given time
+   * @private
+   * @param {number} resetAt - Epoch ms
+   * @returns {Promise<boolean>}
+   */
+  setBackoff(resetAt) {
+    this.rateLimit.blocked = true;
+    return storageService.set(BACKOFF_KEY, { resetAt }, Math.max(resetAt - Date.now(), 0));
+  }
+
+  /**
+   * Get the active backoff end time, if any
+   * @private
+   * @returns {number|null} Epoch ms, or null when requests are allowed
+   */
+  getBackoffUntil() {
+    const backoff = storageService.get(BACKOFF_KEY);
+    if (backoff && backoff.resetAt > Date.now()) {
+      return backoff.resetAt;
+    }
+    return null;
+  }
+
+  /**
+   * Build the error thrown while rate limited
+   * @private
+   * @param {number} resetAt - Epoch ms
+   * @returns {Error}
+   */
+  createRateLimitError(resetAt) {
+    const error = new Error(`GitHub API rate limit exhausted until ${new Date(resetAt).toISOString()}`);
+    error.rateLimited = true;
+    error.resetAt = resetAt;
+    return error;
+  }
+
+  /**
+   * Storage key for a URL's ETag-validated response
+   * @private
+   * @param {string} url
+   * @returns {string}
+   */
+  getEtagKey(url) {
+    return `${ETAG_KEY_PREFIX}${url}`;
+  }
+
+  /**
+   * Clear the recorded rate limit and any active backoff
+   */
+  async reset() {
+    this.rateLimit = {
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      blocked: false,
+    };
+    await storageService.remove(BACKOFF_KEY);
+  }
+}
+
+// Export singleton instance
+export const githubClient = new GitHubClient();
+
+// Default export for convenience
+export default githubClient;
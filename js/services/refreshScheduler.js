@@ -0,0 +1,150 @@
+/**
+ * Refresh Scheduler
+ * Runs a task on an interval with exponential backoff, pausing while the page is hidden
+ */
+
+class RefreshScheduler {
+  /**
+   * @param {function(): Promise<boolean>} task - Work to run; resolves false (or rejects) on failure
+   * @param {Object} options - Scheduling options
+   * @param {number} options.interval - Delay between successful runs in milliseconds
+   * @param {number} [options.maxInterval] - Upper bound for the backoff delay
+   * @param {number} [options.backoffFactor=2] - Multiplier applied per consecutive failure
+   * @param {number} [options.minGap=0] - Minimum time between runs when resuming
+   */
+  constructor(task, options = {}) {
+    this.task = task;
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.maxInterval = options.maxInterval || this.interval * 8;
+    this.backoffFactor = options.backoffFactor || 2;
+    this.minGap = options.minGap || 0;
+
+    this.timerId = null;
+    this.running = false;
+    this.paused = false;
+    this.started = false;
+    this.failures = 0;
+    this.lastRunAt = 0;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Start scheduling; the first run happens after one interval
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.paused = false;
+    this.lastRunAt = Date.now();
+    this.schedule(this.interval);
+  }
+
+  /**
+   * Stop scheduling entirely
+   */
+  stop() {
+    this.started = false;
+    this.clearTimer();
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Suspend runs (e.g. while the tab is hidden)
+   */
+  pause() {
+    if (!this.started || this.paused) return;
+    this.paused = true;
+    this.clearTimer();
+  }
+
+  /**
+   * Resume after a pause
+   * Runs right away unless the last run was within minGap or a backoff is pending
+   */
+  resume() {
+    if (!this.started || !this.paused) return;
+    this.paused = false;
+
+    const now = Date.now();
+    if (this.failures > 0 && this.nextRunAt) {
+      this.schedule(Math.max(this.nextRunAt - now, 0));
+      return;
+    }
+
+    const sinceLastRun = now - this.lastRunAt;
+    this.schedule(sinceLastRun >= this.minGap ? 0 : this.minGap - sinceLastRun);
+  }
+
+  /**
+   * Run the task immediately and reschedule
+   * @returns {Promise<boolean>} Whether the run succeeded
+   */
+  async runNow() {
+    if (this.running) return false;
+    this.clearTimer();
+    this.running = true;
+
+    let ok = false;
+    try {
+      ok = (await this.task()) !== false;
+    } catch (error) {
+      console.debug('[RefreshScheduler] Task failed:', error);
+    } finally {
+      this.running = false;
+      this.lastRunAt = Date.now();
+    }
+
+    this.failures = ok ? 0 : this.failures + 1;
+
+    if (this.started && !this.paused) {
+      this.schedule(this.getDelay());
+    }
+
+    return ok;
+  }
+
+  /**
+   * Delay before the next run, backing off after consecutive failures
+   * @returns {number} Milliseconds
+   */
+  getDelay() {
+    const delay = this.interval * Math.pow(this.backoffFactor, this.failures);
+    return Math.min(delay, this.maxInterval);
+  }
+
+  /**
+   * Get the scheduler state for debugging
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      started: this.started,
+      paused: this.paused,
+      running: this.running,
+      failures: this.failures,
+      lastRunAt: this.lastRunAt ? new Date(this.lastRunAt).toISOString() : null,
+      nextRunAt: this.nextRunAt ? new Date(this.nextRunAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * @private
+   * @param {number} delay - Milliseconds until the next run
+   */
+  schedule(delay) {
+    this.clearTimer();
+    this.nextRunAt = Date.now() + delay;
+    this.timerId = setTimeout(() => this.runNow(), delay);
+  }
+
+  /**
+   * @private
+   */
+  clearTimer() {
+    clearTimeout(this.timerId);
+    this.timerId = null;
+  }
+}
+
+export { RefreshScheduler };
+export default RefreshScheduler;
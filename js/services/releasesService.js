@@ -0,0 +1,289 @@
+/**
+ * Releases Service
+ * Fetches recent GitHub releases and converts their markdown notes into safe HTML
+ */
+
+import { API_ENDPOINTS, APP_CONFIG } from '../config.js';
+import { githubClient } from './githubClient.js';
+import { storageService } from './storageService.js';
+
+/**
+ * @typedef {Object} Release
+ * @property {string} version - Version without the leading "v"
+ * @property {string} tag - Git tag (e.g. "v4.13.0")
+ * @property {string} name - Release title
+ * @property {string|null} publishedAt - ISO timestamp, null if unknown
+ * @property {string} url - Release page URL
+ * @property {string} html - Release notes as sanitized HTML
+ * @property {string} source - `live` (GitHub) or `local-json` (bundled data/releases.json)
+ */
+
+/** Cache TTL for the release list (1 hour - releases are infrequent) */
+const RELEASES_TTL = 60 * 60 * 1000;
+
+/** Default number of releases to fetch */
+const DEFAULT_LIMIT = 5;
+
+/**
+ * storageService key for a release list
+ * @param {number} limit
+ * @returns {string}
+ */
+const getStorageKey = (limit) => `releases:${limit}`;
+
+/** Only these URL schemes survive in rendered links */
+const SAFE_URL_PATTERN = /^(https?:\/\/|#|\/)/i;
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render inline markdown (code, links, bold, italics) on a single line
+ * Input is escaped first, so only the markup generated here reaches the DOM
+ * @param {string} text - Raw markdown text
+ * @returns {string} Safe HTML
+ */
+const renderInline = (text) => {
+  const codeSpans = [];
+
+  let html = escapeHtml(text)
+    // Pull out code spans so their contents aren't formatted
+    .replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    })
+    // Links - only http(s), fragment and root-relative targets
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const href = url.replace(/&amp;/g, '&');
+      if (!SAFE_URL_PATTERN.test(href)) return label;
+      return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    })
+    // Bare GitHub PR/issue references
+    .replace(/(^|[\s(])#(\d+)\b/g, (match, lead, number) =>
+      `${lead}<a href="${APP_CONFIG.repoUrl}/pull/${number}" target="_blank" rel="noopener noreferrer">#${number}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+
+  html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+  return html;
+};
+
+/**
+ * Convert release-note markdown into a safe HTML subset
+ * Supports headings, paragraphs, bullet/numbered lists, fenced code and inline
+ * formatting. Raw HTML in the source is escaped, never rendered.
+ * @param {string} markdown
+ * @returns {string} Safe HTML
+ */
+export const renderMarkdown = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      output.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const flushList = () => {
+    if (list) {
+      output.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  lines.forEach((line) => {
+    // Fenced code blocks
+    if (/^\s*```/.test(line)) {
+      if (code) {
+        output.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        flushParagraph();
+        flushList();
+        code = [];
+      }
+      return;
+    }
+    if (code) {
+      code.push(line);
+      return;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      // Release notes sit inside cards, so h1-h3 all step down to h4
+      const level = Math.min(Math.max(heading[1].length + 2, 4), 6);
+      output.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (line.trim() === '') {
+      flushParagraph();
+      flushList();
+    } else if (list && /^\s{2,}\S/.test(line)) {
+      // Continuation of the previous list item
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  });
+
+  if (code) {
+    output.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  }
+  flushParagraph();
+  flushList();
+
+  return output.join('\n');
+};
+
+class ReleasesService {
+  constructor() {
+    /** @type {Map<number, Promise<Release[]>>} */
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Get the most recent releases
+   * Served stale-while-revalidate from storageService; falls back to the
+   * bundled data/releases.json when GitHub is unreachable. Use subscribe()
+   * to hear about the background revalidation.
+   * @param {number} limit - Number of releases
+   * @returns {Promise<Release[]>}
+   */
+  async getReleases(limit = DEFAULT_LIMIT) {
+    if (this.pendingRequests.has(limit)) {
+      return this.pendingRequests.get(limit);
+    }
+
+    const request = storageService
+      .getStaleWhileRevalidate(getStorageKey(limit), () => this.fetchReleases(limit), {
+        ttl: RELEASES_TTL,
+      })
+      .catch(async (error) => {
+        console.debug('Failed to fetch releases, using bundled notes:', error);
+        return this.fetchLocalReleases(limit);
+      })
+      .finally(() => {
+        this.pendingRequests.delete(limit);
+      });
+
+    this.pendingRequests.set(limit, request);
+    return request;
+  }
+
+  /**
+   * Follow a release list as it changes
+   * The handler receives new releases whenever they are stored - by a
+   * revalidation here or in another tab - and `null` once the cached list
+   * expires, which triggers a background refresh
+   * @param {number} limit - Number of releases, as passed to getReleases()
+   * @param {function(Release[]|null): void} handler
+   * @returns {Function} Unsubscribes the handler
+   */
+  subscribe(limit, handler) {
+    return storageService.subscribe(getStorageKey(limit), (change) => {
+      if (change.type === 'expire') {
+        handler(null);
+        this.getReleases(limit).catch(() => {});
+      } else if ((change.type === 'set' || change.type === 'revalidate') && change.value) {
+        handler(change.value);
+      }
+    });
+  }
+
+  /**
+   * Fetch releases from the GitHub API
+   * @private
+   * @param {number} limit
+   * @returns {Promise<Release[]>}
+   */
+  async fetchReleases(limit) {
+    const releases = await githubClient.get(`${API_ENDPOINTS.github.releaseList}?per_page=${limit}`);
+    if (!Array.isArray(releases)) {
+      throw new Error('Unexpected releases payload');
+    }
+
+    return releases
+      .filter((release) => !release.draft)
+      .slice(0, limit)
+      .map((release) => this.normalize(release, 'live'));
+  }
+
+  /**
+   * Load the bundled release notes
+   * @private
+   * @param {number} limit
+   * @returns {Promise<Release[]>}
+   */
+  async fetchLocalReleases(limit) {
+    try {
+      const response = await fetch(API_ENDPOINTS.local.releases, {
+        headers: {
+          Accept: 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const releases = Array.isArray(data) ? data : data.releases || [];
+      return releases.slice(0, limit).map((release) => this.normalize(release, 'local-json'));
+    } catch (error) {
+      console.debug('Failed to load bundled releases:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Map a GitHub release payload to a Release
+   * @private
+   * @param {Object} release - GitHub API release object
+   * @param {string} source - live or local-json
+   * @returns {Release}
+   */
+  normalize(release, source) {
+    const tag = release.tag_name || '';
+    return {
+      version: tag.replace(/^v/, ''),
+      tag,
+      name: release.name || tag,
+      publishedAt: release.published_at || null,
+      url: release.html_url || `${APP_CONFIG.repoUrl}/releases`,
+      html: renderMarkdown(release.body),
+      source,
+    };
+  }
+}
+
+// Export singleton instance
+export const releasesService = new ReleasesService();
+
+// Default export for convenience
+export default releasesService;
@@ -0,0 +1,582 @@
+/**
+ * Search Index
+ * Tokenized inverted index over snippets from the site's pages, with a prefix trie over
+ * its terms for search-as-you-type and typo-tolerant matching. Results are
+ * ranked with BM25F over three fields: title, section context and body.
+ *
+ * Besides headings and text, pages mark up typed entities - agents, CLI flags,
+ * env vars, keywords - with `data-entity="<kind>"` on a table row, list item or
+ * tag; each becomes one document with a signature and a one-line description,
+ * which `data-entity-description` can give explicitly. Signatures are also
+ * indexed whole (`omc_notify_profile`, `--madmax`) so identifiers typed as
+ * written match them literally.
+ *
+ * Has no DOM or browser dependencies so scripts/build-search-index.mjs can
+ * prebuild it into data/search-index.json; SearchService loads that file and
+ * only builds an index from the page when it is missing or out of date.
+ */
+
+/** Bump when the serialized format changes; older files are rebuilt at runtime */
+export const INDEX_VERSION = 5;
+
+/** Snippets shorter than this are not worth a result */
+export const MIN_TEXT_LENGTH = 20;
+
+/** Longest snippet kept per document */
+export const MAX_TEXT_LENGTH = 200;
+
+/** Text after a heading that counts towards the heading's body */
+export const MAX_SUMMARY_LENGTH = 300;
+
+/** Upper bound on terms a single prefix expands to */
+const MAX_PREFIX_EXPANSIONS = 50;
+
+/** Indexed fields, in the order their term frequencies are stored */
+export const FIELDS = ['title', 'context', 'body'];
+
+/**
+ * Default ranking parameters
+ * boosts weigh each field's term frequency; k1 and b are the usual BM25
+ * saturation and length-normalization constants
+ */
+export const DEFAULT_RANKING = {
+  boosts: { title: 3, context: 1.5, body: 1 },
+  k1: 1.2,
+  b: 0.75,
+};
+
+/** Entity kinds, by `data-entity` value, with their display labels */
+export const ENTITY_KINDS = {
+  agent: 'Agent',
+  keyword: 'Keyword',
+  flag: 'CLI flag',
+  env: 'Env var',
+};
+
+/** Score multipliers for words that only match as a prefix or with typos */
+const PREFIX_PENALTY = 0.5;
+const TYPO_PENALTY = 0.3;
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {'heading'|'content'|'entity'} type
+ * @property {number} [level] - Heading level (headings only)
+ * @property {string} [kind] - Key of ENTITY_KINDS (entities only)
+ * @property {string} text - Snippet shown in results; an entity's signature
+ * @property {string} [description] - One-line description (entities only)
+ * @property {string[]} [details] - Further fields, e.g. an agent's model or a keyword's example (entities only)
+ * @property {string} id - Element id to scroll to
+ * @property {string} context - Enclosing heading text
+ * @property {number} page - Index of the page it came from in SearchIndex#pages
+ * @property {string} [body] - Text indexed as the body, if not `text`; not serialized
+ */
+
+/**
+ * @typedef {Object} SearchPage
+ * @property {string} path - Site-relative path, e.g. `docs/index.html`
+ * @property {string} title - Short name shown next to results from other pages
+ */
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Identifier-like words kept whole, in addition to tokenize()'s terms
+ * `OMC_NOTIFY=0` gives `omc_notify`, `--madmax / --yolo` gives `--madmax` and `--yolo`
+ * @param {string} text
+ * @returns {string[]} Only words containing `_` or `-`
+ */
+export const tokenizeLiteral = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}_-]+/gu) || [])
+  .filter((word) => /[_-]/.test(word) && /[\p{L}\p{N}]/u.test(word));
+
+/**
+ * Collapse whitespace the way the index stores text
+ * @param {string} text
+ * @returns {string}
+ */
+export const cleanText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Slug a heading into an id, matching what SearchService assigns at runtime
+ * @param {string} text - Heading text
+ * @param {function(string): boolean} isTaken - Whether an id is already used
+ * @returns {string}
+ */
+export const slugify = (text, isTaken) => {
+  const base = String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  let id = base;
+  let counter = 1;
+  while (isTaken(id)) {
+    id = `${base}-${counter++}`;
+  }
+  return id;
+};
+
+/**
+ * @typedef {Object} SearchBlock
+ * @property {string} tag - `h1`-`h6`, or any other tag for body text
+ * @property {string} text
+ * @property {string} [id]
+ * @property {string} [entity] - `data-entity` kind, for entity elements
+ * @property {string[]} [parts] - Entity text: a table row's cells, else the element's text
+ * @property {string} [description] - Entity `data-entity-description`, if set
+ */
+
+/**
+ * Split an entity's text into its signature and description
+ * Table rows read [signature, description, ...extra cells]; other elements
+ * "signature — description", or "name detail" when there is no dash. An
+ * explicit description takes the place of the one read from the text, which
+ * then becomes the first extra field.
+ * @param {string[]} parts - See SearchBlock
+ * @param {string} [description] - `data-entity-description`
+ * @returns {{signature: string, description: string, extra: string[]}}
+ */
+export const parseEntity = (parts, description) => {
+  const cells = parts.map(cleanText).filter(Boolean);
+  const text = cells[0] || '';
+  const dash = /\s+[—–]\s+/.exec(text);
+
+  let parsed;
+  if (cells.length > 1) {
+    parsed = { signature: cells[0], description: cells[1], extra: cells.slice(2) };
+  } else if (dash) {
+    parsed = { signature: text.slice(0, dash.index), description: text.slice(dash.index + dash[0].length), extra: [] };
+  } else {
+    const [signature, ...detail] = text.split(' ');
+    parsed = { signature, description: detail.join(' '), extra: [] };
+  }
+
+  const explicit = cleanText(description);
+  if (!explicit) return parsed;
+  return {
+    signature: parsed.signature,
+    description: explicit,
+    extra: [parsed.description, ...parsed.extra].filter(Boolean),
+  };
+};
+
+/**
+ * Id for an element without one, matching what SearchService assigns at runtime
+ * Headings slug their text; entities their kind and signature (`flag-madmax-yolo`)
+ * @param {SearchBlock} block
+ * @param {function(string): boolean} isTaken - Whether an id is already used
+ * @returns {string}
+ */
+export const blockId = (block, isTaken) => (block.entity
+  ? slugify(`${block.entity} ${parseEntity(block.parts).signature}`, isTaken)
+  : slugify(block.text, isTaken));
+
+/**
+ * Typos tolerated in a word of a given length
+ * @param {number} length
+ * @returns {number} Maximum edit distance
+ */
+const allowedTypos = (length) => (length < 4 ? 0 : length < 7 ? 1 : 2);
+
+/**
+ * Turn headings, entities and text blocks, in document order, into index documents
+ * Each block is attributed to the heading before it; each heading to the
+ * nearest preceding heading of a higher rank, and its body is the start of
+ * the text that follows it.
+ * @param {SearchBlock[]} blocks
+ * @param {number} [page=0] - Page the blocks come from
+ * @returns {SearchDocument[]}
+ */
+export const createDocuments = (blocks, page = 0) => {
+  const documents = [];
+  const openHeadings = [];
+
+  blocks.forEach((block) => {
+    const text = cleanText(block.text);
+    const headingMatch = /^h([1-6])$/i.exec(block.tag);
+
+    if (headingMatch) {
+      const level = parseInt(headingMatch[1], 10);
+      while (openHeadings.length && openHeadings[openHeadings.length - 1].level >= level) {
+        openHeadings.pop();
+      }
+
+      const parent = openHeadings[openHeadings.length - 1];
+      const doc = {
+        type: 'heading',
+        level,
+        text,
+        id: block.id || '',
+        context: parent ? parent.text : '',
+        page,
+        body: '',
+      };
+      documents.push(doc);
+      openHeadings.push({ level, text, id: block.id || '', doc });
+      return;
+    }
+
+    const heading = openHeadings[openHeadings.length - 1];
+    if (heading && heading.doc.body.length < MAX_SUMMARY_LENGTH) {
+      heading.doc.body = `${heading.doc.body} ${text}`.trim().slice(0, MAX_SUMMARY_LENGTH);
+    }
+
+    if (block.entity) {
+      const { signature, description, extra } = parseEntity(block.parts || [block.text], block.description);
+      if (!signature) return;
+
+      documents.push({
+        type: 'entity',
+        kind: block.entity,
+        text: signature,
+        description,
+        details: extra,
+        id: block.id || '',
+        context: heading ? heading.text : '',
+        page,
+        body: [description, ...extra].join(' '),
+      });
+      return;
+    }
+
+    if (text.length < MIN_TEXT_LENGTH) return;
+
+    documents.push({
+      type: 'content',
+      text: text.slice(0, MAX_TEXT_LENGTH),
+      id: heading ? heading.id : '',
+      context: heading ? heading.text : '',
+      page,
+    });
+  });
+
+  return documents;
+};
+
+/**
+ * Text of each indexed field for a document
+ * @param {SearchDocument} doc
+ * @returns {string[]} In FIELDS order
+ */
+const getFieldText = (doc) => {
+  if (doc.type === 'heading') return [doc.text, doc.context, doc.body || ''];
+  if (doc.type === 'entity') return [doc.text, doc.context, doc.body ?? doc.description];
+  return ['', doc.context, doc.body || doc.text];
+};
+
+/**
+ * Prefix trie over index terms
+ */
+class PrefixTrie {
+  constructor() {
+    this.root = { children: new Map(), terminal: false };
+  }
+
+  /**
+   * @param {string} term
+   */
+  insert(term) {
+    let node = this.root;
+    for (const char of term) {
+      if (!node.children.has(char)) {
+        node.children.set(char, { children: new Map(), terminal: false });
+      }
+      node = node.children.get(char);
+    }
+    node.terminal = true;
+  }
+
+  /**
+   * Terms starting with a prefix, shortest first
+   * @param {string} prefix
+   * @param {number} [limit]
+   * @returns {string[]}
+   */
+  withPrefix(prefix, limit = MAX_PREFIX_EXPANSIONS) {
+    let node = this.root;
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return [];
+    }
+
+    // Breadth-first, so close completions win when the limit cuts in
+    const terms = [];
+    const queue = [[node, prefix]];
+    while (queue.length > 0 && terms.length < limit) {
+      const [current, term] = queue.shift();
+      if (current.terminal) terms.push(term);
+      current.children.forEach((child, char) => queue.push([child, term + char]));
+    }
+    return terms;
+  }
+
+  /**
+   * Terms within an edit distance of a word
+   * Optimal string alignment distance (insertions, deletions, substitutions
+   * and adjacent transpositions), computed one row per trie node
+   * @param {string} word
+   * @param {number} maxDistance
+   * @returns {Array<{term: string, distance: number}>}
+   */
+  withinDistance(word, maxDistance) {
+    const chars = Array.from(word);
+    const matches = [];
+
+    const visit = (node, char, previousChar, row, previousRow, term) => {
+      const current = [row[0] + 1];
+      for (let i = 1; i <= chars.length; i++) {
+        const cost = chars[i - 1] === char ? 0 : 1;
+        let distance = Math.min(current[i - 1] + 1, row[i] + 1, row[i - 1] + cost);
+        if (previousRow && i > 1 && chars[i - 1] === previousChar && chars[i - 2] === char) {
+          distance = Math.min(distance, previousRow[i - 2] + 1);
+        }
+        current.push(distance);
+      }
+
+      if (node.terminal && current[chars.length] <= maxDistance) {
+        matches.push({ term, distance: current[chars.length] });
+      }
+      if (Math.min(...current) <= maxDistance) {
+        node.children.forEach((child, next) => visit(child, next, char, current, row, term + next));
+      }
+    };
+
+    const firstRow = chars.map((c, i) => i + 1);
+    firstRow.unshift(0);
+    this.root.children.forEach((child, char) => visit(child, char, null, firstRow, null, char));
+    return matches;
+  }
+}
+
+class SearchIndex {
+  /**
+   * @param {SearchDocument[]} documents
+   * @param {Array<number[]>} lengths - Token count of each field, per document
+   * @param {Object<string, Array<number[]>>} postings - Term -> [document index, ...term frequency per field]
+   * @param {SearchPage[]} [pages] - Pages the documents come from
+   */
+  constructor(documents, lengths, postings, pages = []) {
+    this.documents = documents;
+    this.pages = pages;
+    this.lengths = lengths;
+
+    /** @type {Map<string, Array<number[]>>} */
+    this.postings = new Map(Object.entries(postings));
+
+    // Average length of each field where present (content has no title), for
+    // BM25 length normalization
+    this.averageLengths = FIELDS.map((field, f) => {
+      const present = lengths.filter((docLengths) => docLengths[f] > 0);
+      const total = present.reduce((sum, docLengths) => sum + docLengths[f], 0);
+      return present.length > 0 ? total / present.length : 0;
+    });
+
+    this.trie = new PrefixTrie();
+    this.postings.forEach((list, term) => this.trie.insert(term));
+  }
+
+  /**
+   * Index a set of documents
+   * @param {SearchDocument[]} documents
+   * @param {SearchPage[]} [pages] - Pages the documents come from
+   * @returns {SearchIndex}
+   */
+  static build(documents, pages = []) {
+    const postings = {};
+    const lengths = [];
+
+    const stored = documents.map((doc, docIndex) => {
+      const counts = new Map();
+      const fieldTokens = getFieldText(doc).map(tokenize);
+      if (doc.type === 'entity') fieldTokens[0].push(...tokenizeLiteral(doc.text));
+
+      fieldTokens.forEach((tokens, f) => {
+        tokens.forEach((term) => {
+          if (!counts.has(term)) counts.set(term, FIELDS.map(() => 0));
+          counts.get(term)[f]++;
+        });
+      });
+
+      counts.forEach((frequencies, term) => {
+        if (!Object.prototype.hasOwnProperty.call(postings, term)) postings[term] = [];
+        postings[term].push([docIndex, ...frequencies]);
+      });
+      lengths.push(fieldTokens.map((tokens) => tokens.length));
+
+      // Bodies only feed the postings; results show `text`
+      const { body, ...rest } = doc;
+      return rest;
+    });
+
+    return new SearchIndex(stored, lengths, postings, pages);
+  }
+
+  /**
+   * Restore a serialized index
+   * @param {Object} json - Output of toJSON()
+   * @returns {SearchIndex|null} null if the format is unknown
+   */
+  static fromJSON(json) {
+    if (!json || json.version !== INDEX_VERSION || !Array.isArray(json.documents)
+      || !Array.isArray(json.lengths) || !json.terms || !Array.isArray(json.pages)) {
+      return null;
+    }
+    return new SearchIndex(json.documents, json.lengths, json.terms, json.pages);
+  }
+
+  /**
+   * Serialize for data/search-index.json
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: INDEX_VERSION,
+      fields: FIELDS,
+      pages: this.pages,
+      documents: this.documents,
+      lengths: this.lengths,
+      terms: Object.fromEntries(this.postings),
+    };
+  }
+
+  /**
+   * Index terms starting with a prefix
+   * @param {string} prefix
+   * @returns {string[]}
+   */
+  expand(prefix) {
+    return this.trie.withPrefix(prefix);
+  }
+
+  /**
+   * Postings for an exact term
+   * @param {string} term
+   * @returns {Array<number[]>}
+   */
+  lookup(term) {
+    return this.postings.get(term) || [];
+  }
+
+  /**
+   * Index terms a query word can stand for, with how much each match counts
+   * Exact terms count fully; completions of the word (search-as-you-type)
+   * and terms within a few typos count for less.
+   * @param {string} word
+   * @returns {Map<string, number>} Term -> multiplier
+   */
+  candidates(word) {
+    const candidates = new Map();
+    const keep = (term, factor) => {
+      if (factor > (candidates.get(term) || 0)) candidates.set(term, factor);
+    };
+
+    this.expand(word).forEach((term) => {
+      keep(term, term === word ? 1 : 1 - PREFIX_PENALTY * (1 - word.length / term.length));
+    });
+
+    const maxTypos = allowedTypos(word.length);
+    if (maxTypos > 0) {
+      this.trie.withinDistance(word, maxTypos).forEach(({ term, distance }) => {
+        keep(term, Math.max(1 - TYPO_PENALTY * distance, 0.1));
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * BM25F score of one term for one document
+   * @param {number[]} posting - [document index, ...term frequency per field]
+   * @param {number} idf
+   * @param {Object} ranking - See DEFAULT_RANKING
+   * @returns {number}
+   */
+  scoreTerm(posting, idf, ranking) {
+    const [docIndex, ...frequencies] = posting;
+    const docLengths = this.lengths[docIndex];
+
+    let weighted = 0;
+    FIELDS.forEach((field, f) => {
+      if (!frequencies[f]) return;
+      const average = this.averageLengths[f] || 1;
+      const normalization = 1 - ranking.b + ranking.b * (docLengths[f] / average);
+      weighted += (ranking.boosts[field] ?? 1) * frequencies[f] / normalization;
+    });
+
+    return idf * (weighted * (ranking.k1 + 1)) / (weighted + ranking.k1);
+  }
+
+  /**
+   * Find documents matching a query, best first
+   * Documents matching more of the query's words rank first.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   * @param {Object<string, number>} [options.boosts] - Per-field boosts (title, context, body)
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Length normalization
+   * @returns {Array<SearchDocument & {score: number}>}
+   */
+  search(query, options = {}) {
+    const { limit = 10, ...overrides } = options;
+    const ranking = {
+      ...DEFAULT_RANKING,
+      ...overrides,
+      boosts: { ...DEFAULT_RANKING.boosts, ...overrides.boosts },
+    };
+
+    // Literal words only match entity signatures, so they lift those above
+    // documents that match the split-up words alone
+    const words = [...new Set([...tokenize(query), ...tokenizeLiteral(query)])];
+    if (words.length === 0) return [];
+
+    const total = this.documents.length;
+    /** @type {Map<number, {score: number, matched: number}>} */
+    const matches = new Map();
+
+    words.forEach((word) => {
+      // Best-scoring candidate term per document for this word
+      const best = new Map();
+      const literal = /[_-]/.test(word);
+      this.candidates(word).forEach((factor, term) => {
+        // Literal words only match literal terms (a typo away from `omc_` is
+        // `omc`), and plain words plain ones (`ralph` shouldn't prefix `ralph-init`)
+        if (literal !== /[_-]/.test(term)) return;
+
+        const postings = this.lookup(term);
+        const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+
+        postings.forEach((posting) => {
+          const score = factor * this.scoreTerm(posting, idf, ranking);
+          if (score > (best.get(posting[0]) || 0)) best.set(posting[0], score);
+        });
+      });
+
+      best.forEach((score, docIndex) => {
+        const match = matches.get(docIndex) || { score: 0, matched: 0 };
+        match.score += score;
+        match.matched++;
+        matches.set(docIndex, match);
+      });
+    });
+
+    const results = [];
+    matches.forEach((match, docIndex) => {
+      results.push({
+        ...this.documents[docIndex],
+        score: match.score * (match.matched / words.length),
+      });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export { SearchIndex, PrefixTrie };
+export default SearchIndex;
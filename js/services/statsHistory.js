@@ -0,0 +1,84 @@
+/**
+ * Stats History
+ * Dated star/download series and the trend deltas computed from it
+ *
+ * Has no DOM or browser dependencies so scripts/update-stats-history.mjs can
+ * append to data/stats-history.json and check it with the same rules
+ * StatsService applies in the page.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Window length in days for each supported history range */
+export const HISTORY_RANGES = {
+  week: 7,
+  month: 30,
+  all: Infinity,
+};
+
+/**
+ * A single dated point in the stats history series
+ * @typedef {Object} HistoryPoint
+ * @property {string} date - ISO date (YYYY-MM-DD)
+ * @property {number} stars - GitHub star count on that date
+ * @property {number} downloads - npm monthly download count on that date
+ */
+
+/**
+ * Read the series out of data/stats-history.json
+ * @param {Object|HistoryPoint[]} data - File contents
+ * @returns {HistoryPoint[]} Valid points, oldest first
+ */
+export const parseSeries = (data) => {
+  const series = Array.isArray(data) ? data : data?.series || [];
+  return series
+    .filter((point) => point && !Number.isNaN(Date.parse(point.date)))
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+};
+
+/**
+ * Append a point to a series, replacing any point for the same day or later
+ * @param {HistoryPoint[]} series - Points sorted oldest first
+ * @param {HistoryPoint} point
+ * @returns {HistoryPoint[]} New series
+ */
+export const mergePoint = (series, point) => [
+  ...series.filter((existing) => existing.date < point.date),
+  point,
+];
+
+/**
+ * Compute the change in a field over the trailing window
+ * Returns null when no point is close enough to the start of the window
+ * @param {HistoryPoint[]} points - Points sorted oldest first
+ * @param {'stars'|'downloads'} field
+ * @param {number} days - Window length in days
+ * @returns {number|null}
+ */
+export const getDelta = (points, field, days) => {
+  const latest = points[points.length - 1];
+  if (!latest) return null;
+
+  const cutoff = Date.parse(latest.date) - days * DAY_MS;
+
+  // Latest point at or before the start of the window
+  let base = null;
+  for (let i = points.length - 2; i >= 0; i--) {
+    if (Date.parse(points[i].date) <= cutoff) {
+      base = points[i];
+      break;
+    }
+  }
+
+  // A baseline from more than one extra window back would overstate the trend
+  if (!base || Date.parse(base.date) < cutoff - days * DAY_MS) return null;
+  if (typeof base[field] !== 'number' || typeof latest[field] !== 'number') return null;
+
+  return latest[field] - base[field];
+};
+
+export default {
+  parseSeries,
+  mergePoint,
+  getDelta,
+};
@@ -3,112 +3,483 @@
  * Centralized data fetching with caching for GitHub/npm stats
  */
 
-import { API_ENDPOINTS, CACHE_CONFIG, getCacheKey } from '../config.js';
+import { API_ENDPOINTS, CACHE_CONFIG, LOCALE_CONFIG } from '../config.js';
+import { githubClient } from './githubClient.js';
+import { DAY_MS, HISTORY_RANGES, getDelta, mergePoint, parseSeries } from './statsHistory.js';
+import { storageService } from './storageService.js';
 
 /**
+ * Registered providers may add further fields (e.g. forks, openIssues)
  * @typedef {Object} StatsData
  * @property {number} stars - GitHub star count
  * @property {number} downloads - npm download count
  * @property {number} agents - Number of agents
+ * @property {number} lanes - Number of agent lanes
+ * @property {number} skills - Number of skills
+ * @property {number} mcpTools - Number of MCP tools
+ * @property {number} executionModes - Number of execution modes
  * @property {string} version - Latest version
  * @property {string} updatedAt - ISO timestamp of last update
+ * @property {Object<string, FieldProvenance>} provenance - Where each field came from
  */
 
 /**
- * Cache entry structure
- * @typedef {Object} CacheEntry
- * @property {StatsData} data - The cached data
- * @property {number} timestamp - When the cache was created
+ * Origin of a single stats field
+ * - `live`: fetched from GitHub/npm on this page load
+ * - `local-json`: read from data/stats.json (pre-computed by GitHub Action)
+ * - `cache`: restored from a previous page load via storageService
+ * - `fallback`: hardcoded value bundled with the site
+ * @typedef {Object} FieldProvenance
+ * @property {'live'|'local-json'|'cache'|'fallback'} source - Origin of the value
+ * @property {string} timestamp - ISO timestamp the value was current as of
  */
 
+/** @typedef {import('./statsHistory.js').HistoryPoint} HistoryPoint */
+
+/**
+ * Change in a stat over the trailing week and month
+ * @typedef {Object} StatDelta
+ * @property {number|null} week - Week-over-week change, null if not enough history
+ * @property {number|null} month - Month-over-month change, null if not enough history
+ */
+
+/**
+ * Historical stats with trend deltas
+ * @typedef {Object} StatsHistory
+ * @property {string} range - Requested range
+ * @property {HistoryPoint[]} points - Points within the range, oldest first
+ * @property {{stars: StatDelta, downloads: StatDelta}} deltas - Trend deltas
+ */
+
+/**
+ * Content manifest describing what ships with the plugin
+ * Each collection is either a list (counted by length) or a plain count
+ * @typedef {Object} ContentManifest
+ * @property {Array<{name: string, lane: string, model: string}>} agents - Agent catalog
+ * @property {Array|number} skills - Skills or skill count
+ * @property {Array|number} mcpTools - MCP tools or tool count
+ * @property {Array|number} executionModes - Execution modes or mode count
+ * @property {string} lastUpdated - ISO timestamp of last manifest update
+ */
+
+/**
+ * Stats provider definition
+ * @typedef {Object} StatsProvider
+ * @property {function(): Promise<*>} fetch - Fetch the raw payload
+ * @property {function(*): Object} [map] - Map the payload to StatsData fields
+ * @property {number} [ttl] - How long a successful result is reused, in milliseconds
+ * @property {'live'|'local-json'} [source] - Provenance of a successful fetch (default `live`)
+ * @property {Object} [fallback] - Field values used when the fetch fails and
+ *   data/stats.json has nothing better; its keys also declare the provider's fields
+ * @property {string} [fallbackAsOf] - ISO timestamp the fallback values date from
+ */
+
+/**
+ * Result of running a single provider
+ * @typedef {Object} ProviderResult
+ * @property {string} name - Provider name
+ * @property {Object|null} fields - Mapped fields, null on failure
+ * @property {'live'|'cache'} source - Whether fields were fetched or reused
+ * @property {string} timestamp - ISO timestamp of the fetch
+ */
+
+/** storageService key for the merged stats */
+const STATS_KEY = 'stats';
+
+/** storageService key prefix for each provider's last result */
+const PROVIDER_KEY_PREFIX = 'stats:';
+
+/** Last-known values bundled with the site, used when every source fails */
+const FALLBACK_STATS = {
+  stars: 4715,
+  downloads: 33124,
+  agents: 19,
+  lanes: 3,
+  skills: 36,
+  mcpTools: 25,
+  executionModes: 10,
+  version: '4.13.0',
+  asOf: '2026-04-07T00:00:00Z',
+};
+
+/** Stats fields that carry provenance */
+const STAT_FIELDS = [
+  'stars',
+  'downloads',
+  'agents',
+  'lanes',
+  'skills',
+  'mcpTools',
+  'executionModes',
+  'version',
+];
+
+/** Units for relative time, largest first, with their length in seconds */
+const RELATIVE_TIME_UNITS = [
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1],
+];
+
 class StatsService {
   constructor() {
     /** @type {Promise<StatsData>|null} */
     this.pendingRequest = null;
 
-    /** @type {StatsData|null} */
-    this.memoryCache = null;
+    /** @type {boolean} Whether pendingRequest bypasses provider caches */
+    this.pendingForced = false;
+
+    /** @type {string|null} updatedAt of the last stats fetched on this page */
+    this.lastFetchedAt = null;
+
+    /** @type {boolean} Whether this page has asked for the full stats (get/refresh) */
+    this.requested = false;
+
+    /** @type {Promise<HistoryPoint[]>|null} */
+    this.historyRequest = null;
+
+    /** @type {Promise<ContentManifest>|null} */
+    this.contentRequest = null;
+
+    /** @type {string|null} Locale override set via setLocale() */
+    this.locale = LOCALE_CONFIG.locale;
+
+    /** @type {Map<string, Intl.NumberFormat|Intl.RelativeTimeFormat>} */
+    this.formatters = new Map();
+
+    /** @type {Map<string, StatsProvider>} */
+    this.providers = new Map();
+
+    /** @type {Map<string, {lastFetched: string|null, lastError: string|null}>} */
+    this.providerStatus = new Map();
+
+    this.registerDefaultProviders();
+
+    // Pick up stats another tab fetched, and refresh once the stored stats expire
+    storageService.subscribe(STATS_KEY, (change) => this.handleStoredChange(change));
+  }
+
+  /**
+   * Register the built-in GitHub/npm providers
+   * @private
+   */
+  registerDefaultProviders() {
+    this.registerProvider('github', {
+      fetch: () => this.fetchGitHubStats(),
+      map: (repo) => ({ stars: repo.stargazers_count }),
+      fallback: { stars: FALLBACK_STATS.stars },
+    });
+
+    this.registerProvider('npm', {
+      fetch: () => this.fetchNpmStats(),
+      map: (point) => ({ downloads: point.downloads }),
+      fallback: { downloads: FALLBACK_STATS.downloads },
+    });
+
+    this.registerProvider('releases', {
+      fetch: () => this.fetchGitHubReleases(),
+      map: (release) => ({ version: release.tag_name?.replace(/^v/, '') }),
+      fallback: { version: FALLBACK_STATS.version },
+    });
+
+    this.registerProvider('content', {
+      fetch: () => this.getContentManifest(),
+      map: (manifest) => this.countContent(manifest),
+      source: 'local-json',
+      fallback: {
+        agents: FALLBACK_STATS.agents,
+        lanes: FALLBACK_STATS.lanes,
+        skills: FALLBACK_STATS.skills,
+        mcpTools: FALLBACK_STATS.mcpTools,
+        executionModes: FALLBACK_STATS.executionModes,
+      },
+    });
+  }
+
+  /**
+   * Register a stats provider
+   * Replaces any provider with the same name. Takes effect on the next fetch.
+   * @param {string} name - Unique provider name, also used for its cache key
+   * @param {StatsProvider} provider - Provider definition
+   * @returns {StatsService} This service, for chaining
+   */
+  registerProvider(name, provider) {
+    if (typeof provider?.fetch !== 'function') {
+      throw new Error(`Stats provider "${name}" needs a fetch function`);
+    }
+
+    this.providers.set(name, {
+      fetch: provider.fetch,
+      map: provider.map || ((raw) => raw),
+      ttl: provider.ttl ?? CACHE_CONFIG.duration,
+      source: provider.source || 'live',
+      fallback: provider.fallback || {},
+      fallbackAsOf: provider.fallbackAsOf || FALLBACK_STATS.asOf,
+    });
+    this.providerStatus.set(name, { lastFetched: null, lastError: null });
+
+    return this;
+  }
 
-    /** @type {number|null} */
-    this.memoryCacheTime = null;
+  /**
+   * Remove a stats provider and its cached result
+   * @param {string} name - Provider name
+   * @returns {boolean} True if a provider was removed
+   */
+  unregisterProvider(name) {
+    this.providerStatus.delete(name);
+    this.removeProviderCache(name);
+    return this.providers.delete(name);
   }
 
   /**
-   * Get stats - always fetches fresh data from live APIs
+   * Get the fields, last fetch time and error for each provider
+   * @returns {Object<string, {ttl: number, fields: string[], lastFetched: string|null, lastError: string|null}>}
+   */
+  getProviderStatus() {
+    const status = {};
+    this.providers.forEach((provider, name) => {
+      status[name] = {
+        ttl: provider.ttl,
+        fields: Object.keys(provider.fallback),
+        ...this.providerStatus.get(name),
+      };
+    });
+    return status;
+  }
+
+  /**
+   * Get stats using stale-while-revalidate
+   * Serves the storageService entry, then the network. Entries storageService
+   * reports as stale are returned immediately and refreshed in the background;
+   * listen for the `stats:updated` window event to receive the fresh data.
    * @returns {Promise<StatsData>} Stats data
    */
   async get() {
-    // Always fetch fresh data from APIs
+    this.requested = true;
+    const entry = storageService.getEntry(STATS_KEY);
+    if (entry && !entry.expired) {
+      if (entry.stale) {
+        this.refreshInBackground();
+      }
+
+      // Anything not fetched on this page load is a cached copy
+      return entry.data.updatedAt === this.lastFetchedAt
+        ? entry.data
+        : this.markAsCached(entry.data);
+    }
+
+    // Nothing usable cached - wait for the network
     return this.fetchFresh();
   }
 
   /**
    * Force refresh stats data
+   * Refetches from every provider, ignoring their cached results - for an
+   * explicit user request; scheduled refreshes use revalidate()
    * @returns {Promise<StatsData>} Fresh stats data
    */
   async refresh() {
+    this.requested = true;
+    return this.fetchFresh({ force: true });
+  }
+
+  /**
+   * Rebuild stats, reusing each provider's result while it is within its TTL
+   * Unlike get(), never answers with the stored stats without running the
+   * providers; unlike refresh(), only refetches the providers that are due
+   * @returns {Promise<StatsData>}
+   */
+  async revalidate() {
+    this.requested = true;
     return this.fetchFresh();
   }
 
+  /**
+   * Get historical stats combined with the live snapshot
+   * @param {'week'|'month'|'all'} range - How far back to include points
+   * @returns {Promise<StatsHistory>} Series and trend deltas
+   */
+  async getHistory(range = 'month') {
+    const days = HISTORY_RANGES[range] ?? HISTORY_RANGES.month;
+
+    const [series, current] = await Promise.all([
+      this.fetchHistory(),
+      this.get(),
+    ]);
+
+    const points = this.mergeSnapshot(series, current);
+    const latest = points[points.length - 1];
+    const cutoff = latest ? Date.parse(latest.date) - days * DAY_MS : 0;
+
+    return {
+      range,
+      points: points.filter((point) => Date.parse(point.date) >= cutoff),
+      deltas: {
+        stars: {
+          week: getDelta(points, 'stars', HISTORY_RANGES.week),
+          month: getDelta(points, 'stars', HISTORY_RANGES.month),
+        },
+        downloads: {
+          week: getDelta(points, 'downloads', HISTORY_RANGES.week),
+          month: getDelta(points, 'downloads', HISTORY_RANGES.month),
+        },
+      },
+    };
+  }
+
+  /**
+   * Fetch the dated stats series (appended daily by .github/workflows/stats-history.yml)
+   * Cached in memory for the lifetime of the page
+   * @private
+   * @returns {Promise<HistoryPoint[]>}
+   */
+  fetchHistory() {
+    if (!this.historyRequest) {
+      this.historyRequest = fetch(API_ENDPOINTS.local.statsHistory, {
+        headers: {
+          Accept: 'application/json',
+        },
+      })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(parseSeries)
+        .catch((error) => {
+          // History file might not exist yet - allow a retry on next call
+          console.debug('Failed to fetch stats history:', error);
+          this.historyRequest = null;
+          return [];
+        });
+    }
+
+    return this.historyRequest;
+  }
+
+  /**
+   * Append the live snapshot to the series, replacing any point for the same day
+   * @private
+   * @param {HistoryPoint[]} series
+   * @param {StatsData} current
+   * @returns {HistoryPoint[]}
+   */
+  mergeSnapshot(series, current) {
+    const date = (current.updatedAt || new Date().toISOString()).slice(0, 10);
+    return mergePoint(series, { date, stars: current.stars, downloads: current.downloads });
+  }
+
   /**
    * Fetch fresh data from API
+   * Only one tab fetches at a time. By default a tab that finds another one
+   * fetching waits and reuses its result; with `wait: false` it returns null
+   * and the result arrives through handleStoredChange().
    * @private
-   * @returns {Promise<StatsData>}
+   * @param {Object} options
+   * @param {boolean} [options.wait=true] - Wait for another tab's fetch rather than skip
+   * @param {boolean} [options.force=false] - Bypass provider caches, and don't
+   *   settle for a fetch that may have used them
+   * @returns {Promise<StatsData|null>}
    */
-  async fetchFresh() {
-    // If there's already a pending request, return it (request coalescing)
-    if (this.pendingRequest) {
+  async fetchFresh(options = {}) {
+    const { wait = true, force = false } = options;
+
+    // If there's already a pending request, return it (request coalescing) -
+    // unless this one is forced and the pending one isn't
+    if (this.pendingRequest && (this.pendingForced || !force)) {
       return this.pendingRequest;
     }
 
     // Create new request
-    this.pendingRequest = this.doFetch();
+    const requestedAt = Date.now();
+    const request = storageService
+      .runExclusive(STATS_KEY, () => this.fetchUnlessLanded(requestedAt, force), { wait })
+      .then((result) => (result.ran ? result.value : null));
+    this.pendingRequest = request;
+    this.pendingForced = force;
 
     try {
-      const data = await this.pendingRequest;
+      const data = await request;
       return data;
     } finally {
-      this.pendingRequest = null;
+      if (this.pendingRequest === request) {
+        this.pendingRequest = null;
+        this.pendingForced = false;
+      }
     }
   }
 
+  /**
+   * Fetch, unless another tab stored fresh stats while this one waited its turn
+   * @private
+   * @param {number} requestedAt - When this tab asked for fresh stats (epoch ms)
+   * @param {boolean} [force=false] - Always fetch, bypassing provider caches
+   * @returns {Promise<StatsData>}
+   */
+  async fetchUnlessLanded(requestedAt, force = false) {
+    const entry = storageService.getEntry(STATS_KEY);
+    if (!force && entry && !entry.expired && entry.timestamp >= requestedAt) {
+      this.lastFetchedAt = entry.data.updatedAt;
+      return entry.data;
+    }
+    return this.doFetch(force);
+  }
+
   /**
    * Perform the actual fetch
    * @private
+   * @param {boolean} [force=false] - Bypass provider caches
    * @returns {Promise<StatsData>}
    */
-  async doFetch() {
+  async doFetch(force = false) {
+    const fetchedAt = new Date().toISOString();
+
     try {
-      // Fetch ALL data from live APIs in parallel
-      const [githubData, npmData, releaseData] = await Promise.all([
-        this.fetchGitHubStats().catch(() => null),
-        this.fetchNpmStats().catch(() => null),
-        this.fetchGitHubReleases().catch(() => null),
-      ]);
+      // Run every provider in parallel
+      const results = await Promise.all(
+        Array.from(this.providers, ([name, provider]) => this.runProvider(name, provider, force))
+      );
 
       const data = {
-        stars: githubData?.stargazers_count || 0,
-        downloads: npmData?.downloads || 0,
-        agents: 33, // Known count from documentation
-        version: releaseData?.tag_name?.replace(/^v/, '') || '0.0.0',
-        updatedAt: new Date().toISOString(),
+        updatedAt: fetchedAt,
+        provenance: {},
       };
 
-      // If any API failed, try to fill gaps from local stats
-      if (!githubData || !npmData || !releaseData) {
+      results.forEach((result) => {
+        if (!result.fields) return;
+        Object.entries(result.fields).forEach(([field, value]) => {
+          if (value === undefined || value === null || value === '') return;
+          data[field] = value;
+          data.provenance[field] = this.createProvenance(result.source, result.timestamp);
+        });
+      });
+
+      // Fields a provider declared but couldn't deliver
+      const missing = [];
+      this.providers.forEach((provider) => {
+        Object.keys(provider.fallback).forEach((field) => {
+          if (data[field] === undefined || data[field] === null) missing.push({ field, provider });
+        });
+      });
+
+      // If any provider failed, try to fill gaps from local stats,
+      // then from each provider's hardcoded fallbacks
+      if (missing.length > 0) {
         const localStats = await this.fetchLocalStats().catch(() => null);
-        if (localStats) {
-          if (!githubData) data.stars = localStats.stars || data.stars;
-          if (!npmData) data.downloads = localStats.downloads || data.downloads;
-          if (!releaseData) data.version = localStats.version || data.version;
-          data.agents = localStats.agents || data.agents;
-        }
-      }
 
-      // If still missing critical data, use hardcoded fallbacks
-      if (data.stars === 0) data.stars = 4715;
-      if (data.downloads === 0) data.downloads = 33124;
-      if (data.version === '0.0.0') data.version = '4.13.0';
+        missing.forEach(({ field, provider }) => {
+          if (localStats?.[field]) {
+            data[field] = localStats[field];
+            data.provenance[field] = this.createProvenance('local-json', localStats.updatedAt);
+          } else {
+            data[field] = provider.fallback[field];
+            data.provenance[field] = this.createProvenance('fallback', provider.fallbackAsOf);
+          }
+        });
+      }
 
       this.updateCache(data);
       return data;
@@ -116,14 +487,186 @@ class StatsService {
       console.error('Failed to fetch stats:', error);
 
       // Return fallback data if everything fails
+      return this.getFallbackStats();
+    }
+  }
+
+  /**
+   * Run a single provider, reusing its cached result within its TTL
+   * @private
+   * @param {string} name
+   * @param {StatsProvider} provider
+   * @param {boolean} [force=false] - Fetch even if a cached result is still valid
+   * @returns {Promise<ProviderResult>}
+   */
+  async runProvider(name, provider, force = false) {
+    const cached = force ? null : this.getProviderCache(name);
+    if (cached) {
       return {
-        stars: 4715,
-        downloads: 33124,
-        agents: 19,
-        version: '4.13.0',
-        updatedAt: new Date().toISOString(),
+        name,
+        fields: cached.fields,
+        source: 'cache',
+        timestamp: new Date(cached.timestamp).toISOString(),
       };
     }
+
+    const status = this.providerStatus.get(name);
+    const timestamp = Date.now();
+
+    try {
+      const fields = provider.map(await provider.fetch()) || {};
+      this.setProviderCache(name, { fields, timestamp }, provider.ttl);
+
+      status.lastFetched = new Date(timestamp).toISOString();
+      status.lastError = null;
+
+      return { name, fields, source: provider.source, timestamp: status.lastFetched };
+    } catch (error) {
+      status.lastError = error.message || String(error);
+      console.debug(`Stats provider "${name}" failed:`, error);
+
+      return { name, fields: null, source: 'live', timestamp: new Date(timestamp).toISOString() };
+    }
+  }
+
+  /**
+   * Build bundled fallback stats with matching provenance
+   * @private
+   * @returns {StatsData}
+   */
+  getFallbackStats() {
+    const provenance = {};
+    STAT_FIELDS.forEach((field) => {
+      provenance[field] = this.createProvenance('fallback', FALLBACK_STATS.asOf);
+    });
+
+    const data = { updatedAt: new Date().toISOString(), provenance };
+    STAT_FIELDS.forEach((field) => {
+      data[field] = FALLBACK_STATS[field];
+    });
+    return data;
+  }
+
+  /**
+   * Create a provenance record for a stats field
+   * @private
+   * @param {FieldProvenance['source']} source
+   * @param {string} timestamp - ISO timestamp
+   * @returns {FieldProvenance}
+   */
+  createProvenance(source, timestamp) {
+    return { source, timestamp };
+  }
+
+  /**
+   * Re-label live fields restored from a previous page load as cached
+   * @private
+   * @param {StatsData} data
+   * @returns {StatsData}
+   */
+  markAsCached(data) {
+    const provenance = {};
+    const fields = new Set([...STAT_FIELDS, ...Object.keys(data.provenance || {})]);
+    fields.forEach((field) => {
+      const entry = data.provenance?.[field];
+      provenance[field] = !entry || entry.source === 'live'
+        ? this.createProvenance('cache', entry?.timestamp || data.updatedAt)
+        : entry;
+    });
+
+    return { ...data, provenance };
+  }
+
+  /**
+   * Get the provenance of a single stats field
+   * @param {StatsData} data
+   * @param {string} field - Field name (stars, downloads, agents, version)
+   * @returns {FieldProvenance|null}
+   */
+  getProvenance(data, field) {
+    return data?.provenance?.[field] || null;
+  }
+
+  /**
+   * Get the content manifest (agents, skills, MCP tools, execution modes)
+   * Cached in memory for the lifetime of the page
+   * @returns {Promise<ContentManifest>}
+   */
+  getContentManifest() {
+    if (!this.contentRequest) {
+      this.contentRequest = fetch(API_ENDPOINTS.local.content, {
+        headers: {
+          Accept: 'application/json',
+        },
+      })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch((error) => {
+          // Allow a retry on next call
+          this.contentRequest = null;
+          throw error;
+        });
+    }
+
+    return this.contentRequest;
+  }
+
+  /**
+   * Derive display counts from the content manifest
+   * @private
+   * @param {ContentManifest} manifest
+   * @returns {Object} agents, lanes, skills, mcpTools and executionModes counts
+   */
+  countContent(manifest) {
+    const count = (collection) => {
+      if (Array.isArray(collection)) return collection.length;
+      return typeof collection === 'number' ? collection : undefined;
+    };
+
+    const lanes = Array.isArray(manifest.agents)
+      ? new Set(manifest.agents.map((agent) => agent.lane).filter(Boolean)).size
+      : undefined;
+
+    return {
+      agents: count(manifest.agents),
+      lanes: lanes || undefined,
+      skills: count(manifest.skills),
+      mcpTools: count(manifest.mcpTools),
+      executionModes: count(manifest.executionModes),
+    };
+  }
+
+  /**
+   * Get only the content counts, read straight from the content manifest
+   * Unlike get(), makes no GitHub or npm requests - for pages that show
+   * nothing else. Counts the manifest lacks, or all of them if it can't be
+   * read, come from the bundled fallback.
+   * @returns {Promise<Object>} agents, lanes, skills, mcpTools and executionModes, with provenance
+   */
+  async getContentStats() {
+    let counts = {};
+    let asOf = null;
+    try {
+      const manifest = await this.getContentManifest();
+      counts = this.countContent(manifest);
+      asOf = manifest.lastUpdated || null;
+    } catch (error) {
+      console.debug('Content manifest unavailable, using fallback counts:', error);
+    }
+
+    const data = { provenance: {} };
+    Object.keys(this.countContent({})).forEach((field) => {
+      const found = counts[field] !== undefined;
+      data[field] = found ? counts[field] : FALLBACK_STATS[field];
+      data.provenance[field] = found
+        ? this.createProvenance('local-json', asOf)
+        : this.createProvenance('fallback', FALLBACK_STATS.asOf);
+    });
+    return data;
   }
 
   /**
@@ -149,8 +692,10 @@ class StatsService {
       return {
         stars: data.github?.stars || data.stars || 0,
         downloads: data.npm?.downloads || data.downloads || 0,
-        agents: data.agents || 33,
-        version: data.npm?.version || data.version || '0.0.0',
+        agents: data.agents || 0,
+        skills: data.skills || 0,
+        mcpTools: data.mcpTools || 0,
+        version: data.npm?.version || data.version || null,
         updatedAt: data.lastUpdated || data.updatedAt || new Date().toISOString(),
       };
     } catch (error) {
@@ -165,17 +710,7 @@ class StatsService {
    * @returns {Promise<Object>}
    */
   async fetchGitHubStats() {
-    const response = await fetch(API_ENDPOINTS.github.repo, {
-      headers: {
-        Accept: 'application/vnd.github.v3+json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-
-    return response.json();
+    return githubClient.get(API_ENDPOINTS.github.repo);
   }
 
   /**
@@ -204,17 +739,7 @@ class StatsService {
    * @returns {Promise<Object>}
    */
   async fetchGitHubReleases() {
-    const response = await fetch(API_ENDPOINTS.github.releases, {
-      headers: {
-        Accept: 'application/vnd.github.v3+json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`GitHub Releases API error: ${response.status}`);
-    }
-
-    return response.json();
+    return githubClient.get(API_ENDPOINTS.github.releases);
   }
 
   /**
@@ -222,106 +747,171 @@ class StatsService {
    * @private
    */
   refreshInBackground() {
-    this.fetchFresh().catch((error) => {
-      // Silently fail on background refresh
-      console.debug('Background refresh failed:', error);
-    });
+    // A refresh is already in flight
+    if (this.pendingRequest) return;
+
+    this.fetchFresh({ wait: false })
+      .then((data) => {
+        // null: another tab is refreshing; handleStoredChange() announces its result
+        if (data) {
+          window.dispatchEvent(new CustomEvent('stats:updated', { detail: data }));
+        }
+      })
+      .catch((error) => {
+        // Silently fail on background refresh
+        console.debug('Background refresh failed:', error);
+      });
   }
 
   /**
-   * Check if cache is still valid (not expired)
+   * React to changes of the stored stats
+   * Stats fetched by another tab count as this page's own and are announced
+   * with `stats:updated`; expired stats are refreshed in the background. This
+   * tab's own writes are left to whoever fetched them, which renders already.
    * @private
-   * @param {number} timestamp
-   * @returns {boolean}
+   * @param {{type: string, value: StatsData|null, origin: string}} change - storageService change
    */
-  isCacheValid(timestamp) {
-    if (!timestamp) return false;
-    return Date.now() - timestamp < CACHE_CONFIG.duration;
+  handleStoredChange(change) {
+    if (change.type === 'expire') {
+      // Hidden tabs are left to the auto-refresh, which resumes on return.
+      // Pages that only read content counts never asked for GitHub/npm data.
+      if (this.requested && !document.hidden) this.refreshInBackground();
+      return;
+    }
+    if (change.origin !== 'remote' || change.type !== 'set' || !change.value) return;
+
+    this.lastFetchedAt = change.value.updatedAt;
+    window.dispatchEvent(new CustomEvent('stats:updated', { detail: change.value }));
   }
 
   /**
-   * Check if cache is stale (valid but should refresh)
+   * Store freshly fetched stats
    * @private
-   * @param {number} timestamp
-   * @returns {boolean}
+   * @param {StatsData} data
    */
-  isCacheStale(timestamp) {
-    if (!timestamp) return true;
-    // Consider cache stale after half the duration
-    return Date.now() - timestamp > CACHE_CONFIG.duration / 2;
+  updateCache(data) {
+    this.lastFetchedAt = data.updatedAt;
+    storageService.set(STATS_KEY, data, CACHE_CONFIG.duration);
   }
 
   /**
-   * Get cache from localStorage
+   * Get a provider's cached result if it is within the provider's TTL
    * @private
-   * @returns {CacheEntry|null}
+   * @param {string} name - Provider name
+   * @returns {{fields: Object, timestamp: number}|null}
    */
-  getLocalCache() {
-    try {
-      const key = getCacheKey('stats');
-      const cached = localStorage.getItem(key);
+  getProviderCache(name) {
+    return storageService.get(this.getProviderKey(name));
+  }
 
-      if (!cached) return null;
+  /**
+   * Store a provider's result for the provider's TTL
+   * @private
+   * @param {string} name - Provider name
+   * @param {{fields: Object, timestamp: number}} entry
+   * @param {number} ttl - Provider TTL in milliseconds
+   */
+  setProviderCache(name, entry, ttl) {
+    storageService.set(this.getProviderKey(name), entry, ttl);
+  }
 
-      const entry = JSON.parse(cached);
+  /**
+   * Remove a provider's cached result
+   * @private
+   * @param {string} name - Provider name
+   * @returns {Promise<void>}
+   */
+  removeProviderCache(name) {
+    return storageService.remove(this.getProviderKey(name));
+  }
 
-      // Check if cache is expired
-      if (!this.isCacheValid(entry.timestamp)) {
-        localStorage.removeItem(key);
-        return null;
-      }
+  /**
+   * Storage key for a provider's cached result
+   * @private
+   * @param {string} name - Provider name
+   * @returns {string}
+   */
+  getProviderKey(name) {
+    return `${PROVIDER_KEY_PREFIX}${name}`;
+  }
 
-      return entry;
-    } catch (error) {
-      // localStorage might be disabled or full
-      return null;
-    }
+  /**
+   * Clear cached stats and every provider's cached result
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    this.lastFetchedAt = null;
+
+    await Promise.all([
+      storageService.remove(STATS_KEY),
+      ...Array.from(this.providers.keys(), (name) => this.removeProviderCache(name)),
+    ]);
   }
 
   /**
-   * Update both memory and localStorage cache
-   * @private
-   * @param {StatsData} data
+   * Set the locale used by formatNumber() and getRelativeTime()
+   * @param {string|null} locale - BCP 47 tag (e.g. "ko", "ja-JP"), or null to follow the browser
    */
-  updateCache(data) {
-    const timestamp = Date.now();
+  setLocale(locale) {
+    this.locale = locale;
+    this.formatters.clear();
+  }
 
-    // Update memory cache
-    this.memoryCache = data;
-    this.memoryCacheTime = timestamp;
+  /**
+   * Get the effective formatting locale
+   * @returns {string} BCP 47 locale tag supported by Intl
+   */
+  getLocale() {
+    const preferred = this.locale ||
+      (typeof navigator !== 'undefined' && (navigator.languages?.[0] || navigator.language)) ||
+      LOCALE_CONFIG.fallback;
 
-    // Update localStorage
     try {
-      const key = getCacheKey('stats');
-      const entry = { data, timestamp };
-      localStorage.setItem(key, JSON.stringify(entry));
+      return Intl.NumberFormat.supportedLocalesOf(preferred)[0] || LOCALE_CONFIG.fallback;
     } catch (error) {
-      // localStorage might be disabled or full
-      console.debug('Failed to update localStorage cache:', error);
+      // Malformed locale tag
+      return LOCALE_CONFIG.fallback;
     }
   }
 
   /**
-   * Clear all caches
+   * Get a cached Intl formatter
+   * @private
+   * @param {'number'|'relative'} type
+   * @param {string} [locale] - Defaults to getLocale()
+   * @returns {Intl.NumberFormat|Intl.RelativeTimeFormat|null} null if Intl lacks support
    */
-  clearCache() {
-    this.memoryCache = null;
-    this.memoryCacheTime = null;
-
-    try {
-      const key = getCacheKey('stats');
-      localStorage.removeItem(key);
-    } catch (error) {
-      console.debug('Failed to clear localStorage cache:', error);
+  getFormatter(type, locale = this.getLocale()) {
+    const key = `${type}:${locale}`;
+
+    if (!this.formatters.has(key)) {
+      let formatter = null;
+      try {
+        formatter = type === 'number'
+          ? new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 })
+          : new Intl.RelativeTimeFormat(locale, { numeric: 'auto', style: 'narrow' });
+      } catch (error) {
+        // Older browsers without compact notation or RelativeTimeFormat
+      }
+      this.formatters.set(key, formatter);
     }
+
+    return this.formatters.get(key);
   }
 
   /**
-   * Format number for display (e.g., 1500 -> "1.5k")
+   * Format number for display using locale-aware compact notation
+   * (e.g., 1500 -> "1.5K" in English, "1.5천" in Korean)
    * @param {number} num
+   * @param {string} [locale] - Defaults to getLocale()
    * @returns {string}
    */
-  formatNumber(num) {
+  formatNumber(num, locale = this.getLocale()) {
+    const formatter = this.getFormatter('number', locale);
+    if (formatter) {
+      return formatter.format(num);
+    }
+
     if (num >= 1000000) {
       return (num / 1000000).toFixed(1) + 'M';
     }
@@ -332,25 +922,36 @@ class StatsService {
   }
 
   /**
-   * Get relative time string (e.g., "2 hours ago")
+   * Get locale-aware relative time string (e.g., "2h ago", "2시간 전")
+   * Dates older than 30 days are shown as a localized date
    * @param {string} isoDate
+   * @param {string} [locale] - Defaults to getLocale()
    * @returns {string}
    */
-  getRelativeTime(isoDate) {
+  getRelativeTime(isoDate, locale = this.getLocale()) {
     const date = new Date(isoDate);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffSecs = Math.floor(diffMs / 1000);
-    const diffMins = Math.floor(diffSecs / 60);
-    const diffHours = Math.floor(diffMins / 60);
-    const diffDays = Math.floor(diffHours / 24);
-
-    if (diffSecs < 60) return 'just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    if (diffDays < 30) return `${diffDays}d ago`;
-
-    return date.toLocaleDateString();
+    const diffSecs = Math.round((date - new Date()) / 1000);
+    const formatter = this.getFormatter('relative', locale);
+
+    if (Math.abs(diffSecs) >= 30 * RELATIVE_TIME_UNITS[0][1]) {
+      return date.toLocaleDateString(locale);
+    }
+
+    if (!formatter) {
+      const elapsed = -diffSecs;
+      if (elapsed < 60) return 'just now';
+      if (elapsed < 3600) return `${Math.floor(elapsed / 60)}m ago`;
+      if (elapsed < 86400) return `${Math.floor(elapsed / 3600)}h ago`;
+      return `${Math.floor(elapsed / 86400)}d ago`;
+    }
+
+    // Anything under a minute reads as "now"
+    if (Math.abs(diffSecs) < 60) {
+      return formatter.format(0, 'second');
+    }
+
+    const [unit, seconds] = RELATIVE_TIME_UNITS.find(([, length]) => Math.abs(diffSecs) >= length);
+    return formatter.format(Math.trunc(diffSecs / seconds), unit);
   }
 }
 
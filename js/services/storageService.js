@@ -1,19 +1,64 @@
 /**
  * Storage Service - Performance-optimized caching layer
- * Implements TTL-based caching, Cache API fallback, and stale-while-revalidate pattern
+ * Implements TTL-based caching, Cache API fallback, and stale-while-revalidate pattern.
+ * Entries are size-accounted and evicted least-recently-used once the budget
+ * (CACHE_CONFIG.maxBytes / maxEntries) is reached. Large values go to an
+ * IndexedDB tier, which counts towards the same budget but only the async
+ * getters read: after a reload, get() and getEntry() miss those keys (and warn
+ * once) - use getAsync() or getStaleWhileRevalidate(). Changes are broadcast to
+ * other tabs, which also take turns revalidating so only one fetches per key.
+ * subscribe() reports sets, revalidations, expirations and removals from any tab.
+ * Entries carry a schema version; older ones are migrated (or dropped) on read.
  */
 
+import { CACHE_CONFIG } from '../config.js';
+
 const StorageService = (function() {
   'use strict';
 
   // Default TTL values (in milliseconds)
   const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
   const CACHE_VERSION = 'v1';
-  const CACHE_NAME = `omc-website-${CACHE_VERSION}`;
+  const CACHE_PREFIX = 'omc-website-';
+  const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+  // Entry format version. To change what wrapData() stores, bump this and
+  // register a migration from the previous version in MIGRATIONS.
+  const SCHEMA_VERSION = 2;
+
+  // Keys written by the retired config.js getCacheKey() helper
+  const LEGACY_KEY_PREFIX = `${CACHE_CONFIG.storageKey}_`;
+
+  // Usage index (sizes and last access per key), kept outside the omc: namespace
+  const INDEX_KEY = 'omc-storage-index';
+  const INDEX_FLUSH_DELAY = 1000;
+
+  // Storage budget, adjustable via configure()
+  const budget = {
+    maxBytes: CACHE_CONFIG.maxBytes,
+    maxEntries: CACHE_CONFIG.maxEntries,
+    staleRetention: CACHE_CONFIG.staleRetention
+  };
+
+  // IndexedDB tier for large values
+  const DB_NAME = 'omc-website';
+  const DB_VERSION = 1;
+  const DB_STORE = 'entries';
 
   // Check if Cache API is available
   const hasCacheAPI = typeof caches !== 'undefined';
 
+  // Check if IndexedDB is available
+  const hasIndexedDB = typeof indexedDB !== 'undefined';
+
+  // Cross-tab sync: BroadcastChannel, or storage events on a signal key
+  const CHANNEL_NAME = 'omc-storage';
+  const SIGNAL_KEY = 'omc-storage-signal';
+  const LEASE_PREFIX = 'omc-lease:';
+  const LEASE_TTL = 30 * 1000; // 30 seconds
+  const TAB_ID = Math.random().toString(36).slice(2);
+  const hasLocks = typeof navigator !== 'undefined' && Boolean(navigator.locks);
+
   /**
    * Generate a cache key with namespace
    */
@@ -21,17 +66,60 @@ const StorageService = (function() {
     return `omc:${key}`;
   }
 
+  /**
+   * Cache API request URL for a key
+   * The Cache API only accepts http(s) requests, so keys live under a
+   * same-origin path that is never fetched
+   */
+  function getCacheRequest(key) {
+    return `/__omc-cache__/${encodeURIComponent(getCacheKey(key))}`;
+  }
+
   /**
    * Wrap data with metadata for TTL tracking
    */
   function wrapData(data, ttl) {
     return {
+      schema: SCHEMA_VERSION,
       data,
       timestamp: Date.now(),
-      ttl: ttl || DEFAULT_TTL
+      ttl: ttl ?? DEFAULT_TTL
     };
   }
 
+  /**
+   * Migrations between entry schemas: version -> function(entry, key) that
+   * returns the entry in the next version's format, or null to drop it
+   */
+  const MIGRATIONS = new Map([
+    // v1 entries were unversioned {data, timestamp, ttl}; keep the well-formed ones
+    [1, (entry) => (
+      typeof entry.timestamp === 'number' && typeof entry.ttl === 'number' ? entry : null
+    )]
+  ]);
+
+  /**
+   * Bring a stored entry up to the current schema
+   * Entries without a migration path, rejected by a migration, or written by
+   * a newer build are dropped; that build rewrites them on its next fetch.
+   * @returns {Object|null} The entry (a new object if migrated), or null to discard it
+   */
+  function migrateEntry(key, wrapped) {
+    if (!wrapped || typeof wrapped !== 'object') return null;
+
+    let entry = wrapped;
+    let version = entry.schema || 1;
+    while (version < SCHEMA_VERSION) {
+      const migrate = MIGRATIONS.get(version);
+      const migrated = migrate ? migrate(entry, key) : null;
+      if (!migrated) return null;
+      version++;
+      entry = { ...migrated, schema: version };
+    }
+
+    return version === SCHEMA_VERSION ? entry : null;
+  }
+
   /**
    * Check if cached item is expired
    */
@@ -51,19 +139,211 @@ const StorageService = (function() {
     return age > (wrappedData.ttl * 0.8);
   }
 
+  /**
+   * Check if an expired item is past the stale retention window
+   */
+  function isSweepable(wrappedData) {
+    if (!wrappedData || !wrappedData.timestamp) return true;
+    const age = Date.now() - wrappedData.timestamp;
+    return age > wrappedData.ttl + budget.staleRetention;
+  }
+
+  /**
+   * Approximate bytes an entry occupies (localStorage stores UTF-16)
+   */
+  function byteSize(key, serialized) {
+    return (getCacheKey(key).length + serialized.length) * 2;
+  }
+
+  /**
+   * Check for a storage quota error across browsers
+   */
+  function isQuotaError(e) {
+    return e && (
+      e.name === 'QuotaExceededError' ||
+      e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      e.code === 22 ||
+      e.code === 1014
+    );
+  }
+
+  // Usage index: key -> { bytes, accessed, tier }; tier is 'indexedDB' for
+  // entries in the IndexedDB tier and absent otherwise
+  const usage = loadIndex();
+  let flushTimer = null;
+
+  /**
+   * Load the usage index persisted by a previous page
+   */
+  function loadIndex() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(INDEX_KEY));
+      return new Map(saved ? Object.entries(saved) : []);
+    } catch (e) {
+      return new Map();
+    }
+  }
+
+  /**
+   * Persist the usage index
+   */
+  function flushIndex() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      localStorage.setItem(INDEX_KEY, JSON.stringify(Object.fromEntries(usage)));
+    } catch (e) {
+      // Index is best-effort; it is rebuilt by the startup sweep
+    }
+  }
+
+  /**
+   * Persist the usage index soon, batching access-time updates from reads
+   */
+  function scheduleFlush() {
+    if (flushTimer === null) {
+      flushTimer = setTimeout(flushIndex, INDEX_FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * Record an entry's size and mark it as just used
+   * @param {string} [tier] - 'indexedDB' for entries stored there
+   */
+  function recordUsage(key, bytes, tier) {
+    usage.set(key, { bytes, accessed: Date.now(), tier });
+    scheduleFlush();
+  }
+
+  /**
+   * Check whether the usage index places an entry in IndexedDB
+   */
+  function isIndexedDBEntry(key) {
+    const entry = usage.get(key);
+    return Boolean(entry && entry.tier === 'indexedDB');
+  }
+
+  // Keys the synchronous getters have already warned about
+  const asyncOnlyWarnings = new Set();
+
+  /**
+   * Warn, once per key, when a synchronous getter misses an IndexedDB entry
+   */
+  function warnAsyncOnly(key) {
+    if (!isIndexedDBEntry(key) || asyncOnlyWarnings.has(key)) return;
+    asyncOnlyWarnings.add(key);
+    console.warn(`[StorageService] ${key} is stored in IndexedDB; read it with getAsync() or getStaleWhileRevalidate()`);
+  }
+
+  /**
+   * Mark an entry as just used
+   */
+  function touch(key) {
+    const entry = usage.get(key);
+    if (entry) {
+      entry.accessed = Date.now();
+      scheduleFlush();
+    }
+  }
+
+  /**
+   * Drop an entry from the usage index
+   */
+  function forgetUsage(key) {
+    if (usage.delete(key)) {
+      scheduleFlush();
+    }
+  }
+
+  /**
+   * Total bytes tracked in the usage index
+   */
+  function getTotalBytes() {
+    let total = 0;
+    usage.forEach((entry) => {
+      total += entry.bytes;
+    });
+    return total;
+  }
+
+  /**
+   * Evict the least recently used entry from whichever tiers hold it
+   * @param {string} exceptKey - Key being written, never evicted for itself
+   * @returns {boolean} Whether anything was evicted
+   */
+  function evictLeastRecentlyUsed(exceptKey) {
+    let oldestKey = null;
+    let oldestAccess = Infinity;
+
+    usage.forEach((entry, key) => {
+      if (key !== exceptKey && entry.accessed < oldestAccess) {
+        oldestKey = key;
+        oldestAccess = entry.accessed;
+      }
+    });
+
+    if (oldestKey === null) return false;
+
+    if (isIndexedDBEntry(oldestKey)) {
+      forgetUsage(oldestKey);
+      memoryCache.delete(getCacheKey(oldestKey));
+      deleteIndexedDB(oldestKey);
+    } else {
+      removeLocalStorage(oldestKey);
+      deleteCacheAPI(oldestKey);
+    }
+    console.debug(`[StorageService] Evicted least recently used entry: ${oldestKey}`);
+    return true;
+  }
+
+  /**
+   * Evict until an entry of the given size fits the budget
+   * @returns {boolean} Whether it fits
+   */
+  function ensureCapacity(key, bytes) {
+    if (bytes > budget.maxBytes) return false;
+
+    const existing = usage.get(key);
+    const otherEntries = () => usage.size - (existing ? 1 : 0);
+    const otherBytes = () => getTotalBytes() - (existing ? existing.bytes : 0);
+
+    while (otherEntries() + 1 > budget.maxEntries || otherBytes() + bytes > budget.maxBytes) {
+      if (!evictLeastRecentlyUsed(key)) return false;
+    }
+    return true;
+  }
+
   /**
    * Store data in localStorage
+   * Evicts least recently used entries to stay within budget, and again if
+   * the browser reports the quota as full
    */
-  function setLocalStorage(key, wrappedData) {
+  function setLocalStorage(key, wrappedData, serialized) {
     try {
-      const serialized = JSON.stringify(wrappedData);
-      localStorage.setItem(getCacheKey(key), serialized);
-      return true;
+      serialized = serialized || JSON.stringify(wrappedData);
     } catch (e) {
-      // localStorage quota exceeded or disabled
-      console.warn('localStorage unavailable, falling back to memory cache');
       return false;
     }
+
+    const bytes = byteSize(key, serialized);
+    if (!ensureCapacity(key, bytes)) {
+      console.warn(`Entry ${key} exceeds the storage budget, falling back to memory cache`);
+      return false;
+    }
+
+    for (;;) {
+      try {
+        localStorage.setItem(getCacheKey(key), serialized);
+        recordUsage(key, bytes);
+        return true;
+      } catch (e) {
+        // Quota full (other sites' data, other keys) - make room and retry
+        if (isQuotaError(e) && evictLeastRecentlyUsed(key)) continue;
+
+        console.warn('localStorage unavailable, falling back to memory cache');
+        return false;
+      }
+    }
   }
 
   /**
@@ -73,7 +353,19 @@ const StorageService = (function() {
     try {
       const serialized = localStorage.getItem(getCacheKey(key));
       if (!serialized) return null;
-      return JSON.parse(serialized);
+      const stored = JSON.parse(serialized);
+      const wrapped = migrateEntry(key, stored);
+      if (!wrapped) {
+        removeLocalStorage(key);
+        return null;
+      }
+
+      if (wrapped !== stored) {
+        setLocalStorage(key, wrapped);
+      } else {
+        touch(key);
+      }
+      return wrapped;
     } catch (e) {
       return null;
     }
@@ -83,6 +375,7 @@ const StorageService = (function() {
    * Remove data from localStorage
    */
   function removeLocalStorage(key) {
+    forgetUsage(key);
     try {
       localStorage.removeItem(getCacheKey(key));
       return true;
@@ -91,18 +384,21 @@ const StorageService = (function() {
     }
   }
 
-  // In-memory fallback cache for when localStorage is unavailable
+  // In-memory fallback cache for when localStorage is unavailable or full.
+  // Map order doubles as recency: reads move entries to the end.
   const memoryCache = new Map();
 
   /**
    * Store data in memory cache
    */
   function setMemoryCache(key, wrappedData) {
-    memoryCache.set(getCacheKey(key), wrappedData);
-    // Limit memory cache size
-    if (memoryCache.size > 100) {
-      const firstKey = memoryCache.keys().next().value;
-      memoryCache.delete(firstKey);
+    const cacheKey = getCacheKey(key);
+    memoryCache.delete(cacheKey);
+    memoryCache.set(cacheKey, wrappedData);
+
+    // Evict least recently used beyond the entry budget
+    while (memoryCache.size > budget.maxEntries) {
+      memoryCache.delete(memoryCache.keys().next().value);
     }
   }
 
@@ -110,7 +406,15 @@ const StorageService = (function() {
    * Retrieve data from memory cache
    */
   function getMemoryCache(key) {
-    return memoryCache.get(getCacheKey(key)) || null;
+    const cacheKey = getCacheKey(key);
+    const wrapped = memoryCache.get(cacheKey);
+    if (!wrapped) return null;
+
+    memoryCache.delete(cacheKey);
+    memoryCache.set(cacheKey, wrapped);
+    // Memory copies of IndexedDB entries are reads of the IndexedDB entry
+    touch(key);
+    return wrapped;
   }
 
   /**
@@ -126,7 +430,7 @@ const StorageService = (function() {
           'X-Cache-Time': Date.now().toString()
         }
       });
-      await cache.put(getCacheKey(key), response);
+      await cache.put(getCacheRequest(key), response);
       return true;
     } catch (e) {
       return false;
@@ -140,30 +444,663 @@ const StorageService = (function() {
     if (!hasCacheAPI) return null;
     try {
       const cache = await caches.open(CACHE_NAME);
-      const response = await cache.match(getCacheKey(key));
+      const response = await cache.match(getCacheRequest(key));
       if (!response) return null;
-      const data = await response.json();
-      return data;
+      const stored = await response.json();
+      const wrapped = migrateEntry(key, stored);
+      if (!wrapped) {
+        await cache.delete(getCacheRequest(key));
+      } else if (wrapped !== stored) {
+        await setCacheAPI(key, wrapped);
+      }
+      return wrapped;
     } catch (e) {
       return null;
     }
   }
 
+  let dbPromise = null;
+
+  /**
+   * Open (and on first use create) the IndexedDB database
+   * Resolves to null when IndexedDB is unavailable or blocked
+   */
+  function openDatabase() {
+    if (!hasIndexedDB) return Promise.resolve(null);
+
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        try {
+          const request = indexedDB.open(DB_NAME, DB_VERSION);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE);
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+          request.onblocked = () => resolve(null);
+        } catch (e) {
+          resolve(null);
+        }
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against the IndexedDB store
+   * @param {IDBTransactionMode} mode
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} The request result, or null on failure
+   */
+  async function runIndexedDB(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(DB_STORE, mode);
+        const request = operation(transaction.objectStore(DB_STORE));
+        transaction.oncomplete = () => resolve(request.result === undefined ? null : request.result);
+        transaction.onerror = () => resolve(null);
+        transaction.onabort = () => resolve(null);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Store data in IndexedDB
+   */
+  async function setIndexedDB(key, wrappedData) {
+    const db = await openDatabase();
+    if (!db) return false;
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(DB_STORE, 'readwrite');
+        transaction.objectStore(DB_STORE).put(wrappedData, getCacheKey(key));
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => resolve(false);
+        transaction.onabort = () => resolve(false);
+      } catch (e) {
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * Retrieve data from IndexedDB
+   */
+  async function getIndexedDB(key) {
+    const stored = await runIndexedDB('readonly', (store) => store.get(getCacheKey(key)));
+    if (!stored) return null;
+
+    const wrapped = migrateEntry(key, stored);
+    if (!wrapped) {
+      await deleteIndexedDB(key);
+    } else if (wrapped !== stored) {
+      await setIndexedDB(key, wrapped);
+    } else {
+      touch(key);
+    }
+    return wrapped;
+  }
+
+  /**
+   * Remove data from IndexedDB
+   */
+  function deleteIndexedDB(key) {
+    return runIndexedDB('readwrite', (store) => store.delete(getCacheKey(key)));
+  }
+
+  /**
+   * Approximate bytes of an IndexedDB entry, as if it were stored as JSON
+   * @returns {number} 0 for values only structured cloning can store
+   */
+  function indexedDBSize(key, wrappedData, serialized) {
+    try {
+      return byteSize(key, serialized || JSON.stringify(wrappedData));
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * Migrate IndexedDB entries, drop those past their stale retention and
+   * reconcile the usage index with what is actually stored
+   */
+  async function sweepIndexedDB() {
+    const db = await openDatabase();
+    const present = new Map();
+
+    const swept = !db ? 0 : await new Promise((resolve) => {
+      let count = 0;
+      try {
+        const transaction = db.transaction(DB_STORE, 'readwrite');
+        const request = transaction.objectStore(DB_STORE).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          const key = String(cursor.key).replace(/^omc:/, '');
+          const wrapped = migrateEntry(key, cursor.value);
+          if (!wrapped || isSweepable(wrapped)) {
+            cursor.delete();
+            count++;
+          } else {
+            if (wrapped !== cursor.value) cursor.update(wrapped);
+            present.set(key, wrapped);
+          }
+          cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(count);
+        transaction.onerror = () => resolve(count);
+      } catch (e) {
+        resolve(0);
+      }
+    });
+
+    present.forEach((wrapped, key) => {
+      if (!usage.has(key)) {
+        usage.set(key, { bytes: indexedDBSize(key, wrapped), accessed: wrapped.timestamp, tier: 'indexedDB' });
+      }
+    });
+    usage.forEach((entry, key) => {
+      if (entry.tier === 'indexedDB' && !present.has(key)) {
+        usage.delete(key);
+      }
+    });
+
+    flushIndex();
+    return swept;
+  }
+
+  /**
+   * Read every IndexedDB entry as [key, entry] pairs
+   */
+  async function listIndexedDB() {
+    const db = await openDatabase();
+    if (!db) return [];
+
+    return new Promise((resolve) => {
+      const found = [];
+      try {
+        const transaction = db.transaction(DB_STORE, 'readonly');
+        const request = transaction.objectStore(DB_STORE).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          found.push([String(cursor.key).slice(4), cursor.value]);
+          cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(found);
+        transaction.onerror = () => resolve(found);
+      } catch (e) {
+        resolve([]);
+      }
+    });
+  }
+
+  /**
+   * Remove an entry from the Cache API
+   */
+  async function deleteCacheAPI(key) {
+    if (!hasCacheAPI) return false;
+    try {
+      const cache = await caches.open(CACHE_NAME);
+      return await cache.delete(getCacheRequest(key));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Migrate entries, drop those past their stale retention and reconcile the
+   * usage index with what is actually stored
+   */
+  function sweepLocalStorage() {
+    let swept = 0;
+    const present = new Set();
+
+    try {
+      for (let i = localStorage.length - 1; i >= 0; i--) {
+        const cacheKey = localStorage.key(i);
+        if (!cacheKey || !cacheKey.startsWith('omc:')) continue;
+
+        const key = cacheKey.slice(4);
+        let serialized = localStorage.getItem(cacheKey);
+        let stored = null;
+        try {
+          stored = JSON.parse(serialized);
+        } catch (e) {
+          // Unreadable - sweep it
+        }
+
+        const wrapped = migrateEntry(key, stored);
+        if (!wrapped || isSweepable(wrapped)) {
+          removeLocalStorage(key);
+          deleteCacheAPI(key);
+          swept++;
+          continue;
+        }
+
+        if (wrapped !== stored) {
+          serialized = JSON.stringify(wrapped);
+          localStorage.setItem(cacheKey, serialized);
+          if (usage.has(key)) usage.get(key).bytes = byteSize(key, serialized);
+        }
+
+        present.add(key);
+        if (!usage.has(key)) {
+          usage.set(key, { bytes: byteSize(key, serialized), accessed: wrapped.timestamp });
+        }
+      }
+    } catch (e) {
+      // localStorage disabled
+      return 0;
+    }
+
+    // Index entries whose localStorage copy is gone; sweepCacheAPI() re-adds
+    // any that still live in the Cache API. sweepIndexedDB() reconciles its own.
+    usage.forEach((entry, key) => {
+      if (!present.has(key) && entry.tier !== 'indexedDB') {
+        usage.delete(key);
+      }
+    });
+
+    flushIndex();
+    return swept;
+  }
+
+  /**
+   * Migrate Cache API entries, drop those past their stale retention and
+   * account for the rest in the usage index
+   */
+  async function sweepCacheAPI() {
+    if (!hasCacheAPI) return 0;
+    let swept = 0;
+
+    try {
+      const cache = await caches.open(CACHE_NAME);
+      const requests = await cache.keys();
+
+      await Promise.all(requests.map(async (request) => {
+        const segment = new URL(request.url).pathname.split('/').pop();
+        const key = decodeURIComponent(segment).replace(/^omc:/, '');
+
+        const response = await cache.match(request);
+        let serialized = response ? await response.text() : '';
+        let stored = null;
+        try {
+          stored = JSON.parse(serialized);
+        } catch (e) {
+          // Unreadable - sweep it
+        }
+
+        const wrapped = migrateEntry(key, stored);
+        if (!wrapped || isSweepable(wrapped)) {
+          swept++;
+          await cache.delete(request);
+          return;
+        }
+
+        if (wrapped !== stored) {
+          serialized = JSON.stringify(wrapped);
+          await setCacheAPI(key, wrapped);
+        }
+        if (!usage.has(key)) {
+          usage.set(key, { bytes: byteSize(key, serialized), accessed: wrapped.timestamp });
+        }
+      }));
+    } catch (e) {
+      // Ignore
+    }
+
+    flushIndex();
+    return swept;
+  }
+
+  /**
+   * Remove data left under retired namespaces: `omc_cache_*` localStorage
+   * keys and Cache API buckets from earlier CACHE_VERSIONs
+   */
+  async function sweepLegacy() {
+    let swept = 0;
+
+    try {
+      for (let i = localStorage.length - 1; i >= 0; i--) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(LEGACY_KEY_PREFIX)) {
+          localStorage.removeItem(key);
+          swept++;
+        }
+      }
+    } catch (e) {
+      // localStorage disabled
+    }
+
+    if (hasCacheAPI) {
+      try {
+        const names = await caches.keys();
+        const stale = names.filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+        await Promise.all(stale.map((name) => caches.delete(name)));
+        swept += stale.length;
+      } catch (e) {
+        // Ignore
+      }
+    }
+
+    return swept;
+  }
+
+  // Change listeners: key (or '*') -> Set of callbacks
+  const listeners = new Map();
+
+  // Pending expiration notices for subscribed keys
+  const expiryTimers = new Map();
+  const MAX_TIMER_DELAY = 2147483647; // setTimeout's 32-bit limit (~24.8 days)
+
+  /**
+   * Whether a change carries a new value
+   */
+  function isWrite(type) {
+    return type === 'set' || type === 'revalidate';
+  }
+
+  /**
+   * Call the listeners for a change
+   * Clears reach every listener
+   */
+  function notify(change) {
+    const targets = change.type === 'clear'
+      ? Array.from(listeners.values())
+      : [listeners.get(change.key), listeners.get('*')];
+
+    targets.forEach((callbacks) => {
+      if (!callbacks) return;
+      callbacks.forEach((callback) => {
+        try {
+          callback(change);
+        } catch (e) {
+          console.error('[StorageService] Change listener failed:', e);
+        }
+      });
+    });
+  }
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  /**
+   * Cancel a key's pending expiration notice
+   */
+  function cancelExpiry(key) {
+    clearTimeout(expiryTimers.get(key));
+    expiryTimers.delete(key);
+  }
+
+  /**
+   * Schedule an `expire` notice for a subscribed key's current entry
+   * The entry itself is kept - stale data still serves stale-while-revalidate
+   */
+  function scheduleExpiry(key, wrapped) {
+    cancelExpiry(key);
+    if (!listeners.has(key) || !wrapped || !wrapped.timestamp) return;
+
+    const delay = wrapped.timestamp + wrapped.ttl - Date.now();
+    if (delay < 0) return;
+
+    expiryTimers.set(key, setTimeout(() => {
+      expiryTimers.delete(key);
+      if (!isExpired(wrapped)) {
+        // Delay was capped; wait out the rest
+        scheduleExpiry(key, wrapped);
+        return;
+      }
+      notify({ type: 'expire', key, value: wrapped.data, origin: 'local' });
+    }, Math.min(delay + 1, MAX_TIMER_DELAY)));
+  }
+
+  /**
+   * Read an entry from whichever tier holds it
+   */
+  async function readWrapped(key) {
+    return getLocalStorage(key) || getMemoryCache(key) || await getIndexedDB(key);
+  }
+
+  /**
+   * Tell other tabs about a change
+   * localStorage is shared, so only memory-tier values travel with the message;
+   * IndexedDB values are read back by the receiver
+   */
+  function broadcast(message) {
+    const payload = {
+      type: message.type,
+      key: message.key,
+      tier: message.tier,
+      bytes: message.bytes,
+      wrapped: message.tier === 'memory' ? message.wrapped : undefined,
+      source: TAB_ID
+    };
+
+    try {
+      if (channel) {
+        channel.postMessage(payload);
+      } else {
+        // Writing the signal key fires a storage event in every other tab
+        localStorage.setItem(SIGNAL_KEY, JSON.stringify({ ...payload, sentAt: Date.now() }));
+      }
+    } catch (e) {
+      // Ignore - other tabs pick the change up on their next read
+    }
+  }
+
+  /**
+   * Apply a change made in another tab and pass it on to listeners
+   */
+  async function handleRemoteChange(message) {
+    if (!message || message.source === TAB_ID) return;
+    const { type, key, tier, bytes, wrapped } = message;
+
+    if (type === 'clear') {
+      memoryCache.clear();
+      usage.clear();
+      expiryTimers.forEach((timer, timerKey) => cancelExpiry(timerKey));
+      notify({ type, key: null, value: null, origin: 'remote' });
+      return;
+    }
+
+    memoryCache.delete(getCacheKey(key));
+    usage.delete(key);
+    cancelExpiry(key);
+
+    let value = null;
+    if (isWrite(type)) {
+      let stored = null;
+      if (tier === 'localStorage') {
+        usage.set(key, { bytes, accessed: Date.now() });
+        stored = getLocalStorage(key);
+      } else if (tier === 'indexedDB') {
+        usage.set(key, { bytes, accessed: Date.now(), tier });
+        stored = await getIndexedDB(key);
+      } else if (wrapped) {
+        // Sent by another tab, possibly running a different build
+        stored = migrateEntry(key, wrapped);
+        if (stored) setMemoryCache(key, stored);
+      }
+      value = stored ? stored.data : null;
+      scheduleExpiry(key, stored);
+    }
+
+    notify({ type, key, value, origin: 'remote' });
+  }
+
+  if (channel) {
+    channel.onmessage = (event) => handleRemoteChange(event.data);
+  } else if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== SIGNAL_KEY || !event.newValue) return;
+      try {
+        handleRemoteChange(JSON.parse(event.newValue));
+      } catch (e) {
+        // Ignore malformed signals
+      }
+    });
+  }
+
+  /**
+   * Record a local change: notify listeners here and broadcast to other tabs
+   */
+  function announce(change) {
+    broadcast(change);
+
+    if (change.type === 'clear') {
+      expiryTimers.forEach((timer, key) => cancelExpiry(key));
+    } else if (isWrite(change.type)) {
+      scheduleExpiry(change.key, change.wrapped);
+    } else {
+      cancelExpiry(change.key);
+    }
+
+    notify({
+      type: change.type,
+      key: change.key,
+      value: change.wrapped ? change.wrapped.data : null,
+      origin: 'local'
+    });
+  }
+
+  /**
+   * Run a task while holding a cross-tab lock for a key
+   * Uses the Web Locks API, or a localStorage lease where it is missing. The
+   * lease can't make other tabs wait, so with `wait` both tabs may still run.
+   * @returns {Promise<{ran: boolean, value: *}>}
+   */
+  async function runLocked(key, task, wait) {
+    if (hasLocks) {
+      return navigator.locks.request(
+        `omc-revalidate:${key}`,
+        wait ? {} : { ifAvailable: true },
+        async (lock) => (lock ? { ran: true, value: await task() } : { ran: false, value: undefined })
+      );
+    }
+
+    const leaseKey = `${LEASE_PREFIX}${key}`;
+    let lease = null;
+    try {
+      lease = JSON.parse(localStorage.getItem(leaseKey));
+      if (!wait && lease && lease.owner !== TAB_ID && lease.expires > Date.now()) {
+        return { ran: false, value: undefined };
+      }
+      localStorage.setItem(leaseKey, JSON.stringify({ owner: TAB_ID, expires: Date.now() + LEASE_TTL }));
+    } catch (e) {
+      // No localStorage - nothing to coordinate with
+    }
+
+    try {
+      return { ran: true, value: await task() };
+    } finally {
+      try {
+        lease = JSON.parse(localStorage.getItem(leaseKey));
+        if (lease && lease.owner === TAB_ID) localStorage.removeItem(leaseKey);
+      } catch (e) {
+        // Ignore
+      }
+    }
+  }
+
+  /**
+   * Call back once with the next value another tab stores for a key
+   * Gives up after the lease TTL in case that tab's fetch fails
+   */
+  function onceChanged(key, callback) {
+    let timer = null;
+    const listener = (change) => {
+      if (!isWrite(change.type)) return;
+      clearTimeout(timer);
+      stop();
+      callback(change.value);
+    };
+    const stop = StorageService.subscribe(key, listener);
+    timer = setTimeout(stop, LEASE_TTL);
+  }
+
+  /**
+   * Store an entry in the best tier and announce it
+   * @param {string} type - Change type reported to subscribers (set or revalidate)
+   */
+  async function writeEntry(key, data, ttl, options, type) {
+    const { backend = 'auto' } = options;
+    const wrapped = wrapData(data, ttl);
+
+    let serialized = null;
+    let useIndexedDB = backend === 'indexedDB';
+    if (backend === 'auto' && hasIndexedDB) {
+      try {
+        serialized = JSON.stringify(wrapped);
+        useIndexedDB = byteSize(key, serialized) > CACHE_CONFIG.indexedDBThreshold;
+      } catch (e) {
+        // Not JSON-serializable - IndexedDB can still structured-clone it
+        useIndexedDB = true;
+      }
+    }
+
+    if (useIndexedDB) {
+      const bytes = indexedDBSize(key, wrapped, serialized);
+      if (ensureCapacity(key, bytes) && await setIndexedDB(key, wrapped)) {
+        // Don't leave an older copy in the synchronous tiers
+        removeLocalStorage(key);
+        deleteCacheAPI(key);
+        setMemoryCache(key, wrapped);
+        recordUsage(key, bytes, 'indexedDB');
+        announce({ type, key, tier: 'indexedDB', bytes, wrapped });
+        return true;
+      }
+    }
+
+    // Try localStorage first
+    if (setLocalStorage(key, wrapped, serialized)) {
+      // Drop any copy a previous, larger value left in IndexedDB
+      if (hasIndexedDB) deleteIndexedDB(key);
+      announce({ type, key, tier: 'localStorage', bytes: usage.get(key).bytes, wrapped });
+      // Also update Cache API for service worker sync
+      await setCacheAPI(key, wrapped);
+      return true;
+    }
+
+    // Fall back to memory cache, dropping an older IndexedDB copy that the
+    // next page load would otherwise read back
+    if (isIndexedDBEntry(key)) {
+      forgetUsage(key);
+      deleteIndexedDB(key);
+    }
+    setMemoryCache(key, wrapped);
+    announce({ type, key, tier: 'memory', wrapped });
+    return true;
+  }
+
   // Stale-while-revalidate tracking
   const pendingRevalidations = new Set();
 
   /**
    * Perform revalidation in the background
+   * Skipped when another tab is already revalidating the key; onUpdate then
+   * receives that tab's result instead
    */
   async function revalidateInBackground(key, fetchFn, ttl, onUpdate) {
     if (pendingRevalidations.has(key)) return;
     pendingRevalidations.add(key);
 
     try {
-      const freshData = await fetchFn();
-      await StorageService.set(key, freshData, ttl);
-      if (onUpdate) {
-        onUpdate(freshData);
+      const result = await runLocked(key, async () => {
+        const freshData = await fetchFn();
+        await writeEntry(key, freshData, ttl, {}, 'revalidate');
+        return freshData;
+      }, false);
+
+      if (!result.ran) {
+        if (onUpdate) onceChanged(key, onUpdate);
+      } else if (onUpdate) {
+        onUpdate(result.value);
       }
     } catch (e) {
       console.warn(`Revalidation failed for key: ${key}`, e);
@@ -172,34 +1109,41 @@ const StorageService = (function() {
     }
   }
 
+  /**
+   * Read an unexpired entry written at or after a point in time
+   */
+  async function readFreshSince(key, since) {
+    const wrapped = await readWrapped(key);
+    if (wrapped && !isExpired(wrapped) && wrapped.timestamp >= since) {
+      return wrapped;
+    }
+    return null;
+  }
+
   /**
    * Public API
    */
   return {
     /**
      * Store data with optional TTL
+     * Values over CACHE_CONFIG.indexedDBThreshold go to IndexedDB; a copy is
+     * kept in memory so get() still sees them for the rest of the page load,
+     * but later page loads must read them with getAsync().
      * @param {string} key - Cache key
      * @param {*} data - Data to cache
      * @param {number} ttl - Time-to-live in milliseconds
+     * @param {Object} options - Options
+     * @param {'auto'|'indexedDB'|'localStorage'} options.backend - Storage tier (default: by size)
      * @returns {Promise<boolean>}
      */
-    async set(key, data, ttl = DEFAULT_TTL) {
-      const wrapped = wrapData(data, ttl);
-
-      // Try localStorage first
-      if (setLocalStorage(key, wrapped)) {
-        // Also update Cache API for service worker sync
-        await setCacheAPI(key, wrapped);
-        return true;
-      }
-
-      // Fall back to memory cache
-      setMemoryCache(key, wrapped);
-      return true;
+    async set(key, data, ttl = DEFAULT_TTL, options = {}) {
+      return writeEntry(key, data, ttl, options, 'set');
     },
 
     /**
      * Retrieve data from cache
+     * Reads localStorage and memory only: IndexedDB entries not read on this
+     * page load yet come back as null (with a warning) - use getAsync()
      * @param {string} key - Cache key
      * @returns {*|null}
      */
@@ -212,14 +1156,41 @@ const StorageService = (function() {
         wrapped = getMemoryCache(key);
       }
 
-      if (!wrapped) return null;
+      if (!wrapped) {
+        warnAsyncOnly(key);
+        return null;
+      }
       if (isExpired(wrapped)) return null;
 
       return wrapped.data;
     },
 
     /**
-     * Retrieve data asynchronously (checks Cache API as well)
+     * Retrieve a cache entry with its freshness metadata
+     * Unlike get(), expired entries are returned (flagged) so callers can
+     * decide whether stale data is better than none. Like get(), doesn't see
+     * IndexedDB entries until getAsync() has read them on this page load.
+     * @param {string} key - Cache key
+     * @returns {{data: *, timestamp: number, ttl: number, stale: boolean, expired: boolean}|null}
+     */
+    getEntry(key) {
+      const wrapped = getLocalStorage(key) || getMemoryCache(key);
+      if (!wrapped) {
+        warnAsyncOnly(key);
+        return null;
+      }
+
+      return {
+        data: wrapped.data,
+        timestamp: wrapped.timestamp,
+        ttl: wrapped.ttl,
+        stale: isStale(wrapped),
+        expired: isExpired(wrapped)
+      };
+    },
+
+    /**
+     * Retrieve data asynchronously (checks IndexedDB and the Cache API as well)
      * @param {string} key - Cache key
      * @returns {Promise<*>}
      */
@@ -228,6 +1199,14 @@ const StorageService = (function() {
       const syncResult = this.get(key);
       if (syncResult !== null) return syncResult;
 
+      // Try IndexedDB
+      const stored = await getIndexedDB(key);
+      if (stored && !isExpired(stored)) {
+        // Keep it in memory for synchronous reads this page load
+        setMemoryCache(key, stored);
+        return stored.data;
+      }
+
       // Try Cache API
       const wrapped = await getCacheAPI(key);
       if (wrapped && !isExpired(wrapped)) {
@@ -252,7 +1231,7 @@ const StorageService = (function() {
     async getStaleWhileRevalidate(key, fetchFn, options = {}) {
       const { ttl = DEFAULT_TTL, onUpdate } = options;
 
-      const wrapped = getLocalStorage(key) || getMemoryCache(key);
+      const wrapped = getLocalStorage(key) || getMemoryCache(key) || await getIndexedDB(key);
 
       if (wrapped) {
         const expired = isExpired(wrapped);
@@ -279,11 +1258,19 @@ const StorageService = (function() {
         }
       }
 
-      // No cache or completely expired with no data - fetch fresh
+      // No cache or completely expired with no data - fetch fresh, unless
+      // another tab fetched it while we waited for the lock
+      const requestedAt = Date.now();
       try {
-        const freshData = await fetchFn();
-        await this.set(key, freshData, ttl);
-        return freshData;
+        const result = await runLocked(key, async () => {
+          const landed = await readFreshSince(key, requestedAt);
+          if (landed) return landed.data;
+
+          const freshData = await fetchFn();
+          await this.set(key, freshData, ttl);
+          return freshData;
+        }, true);
+        return result.value;
       } catch (e) {
         // If fetch fails and we have any cached data, return it
         if (wrapped && wrapped.data !== undefined) {
@@ -301,15 +1288,8 @@ const StorageService = (function() {
     async remove(key) {
       removeLocalStorage(key);
       memoryCache.delete(getCacheKey(key));
-
-      if (hasCacheAPI) {
-        try {
-          const cache = await caches.open(CACHE_NAME);
-          await cache.delete(getCacheKey(key));
-        } catch (e) {
-          // Ignore
-        }
-      }
+      await Promise.all([deleteCacheAPI(key), deleteIndexedDB(key)]);
+      announce({ type: 'remove', key });
     },
 
     /**
@@ -328,8 +1308,10 @@ const StorageService = (function() {
         // Ignore
       }
 
-      // Clear memory cache
+      // Clear memory cache and usage index
       memoryCache.clear();
+      usage.clear();
+      flushIndex();
 
       // Clear Cache API
       if (hasCacheAPI) {
@@ -339,6 +1321,132 @@ const StorageService = (function() {
           // Ignore
         }
       }
+
+      // Clear IndexedDB
+      await runIndexedDB('readwrite', (store) => store.clear());
+
+      announce({ type: 'clear', key: null });
+    },
+
+    /**
+     * Subscribe to changes to a key, made in this tab or another one
+     * Change types:
+     * - `set`: stored via set()
+     * - `revalidate`: refreshed by a stale-while-revalidate background fetch
+     * - `expire`: the entry's TTL ran out (value is the now-stale data)
+     * - `remove` / `clear`: deleted
+     * Expirations are only reported for specific keys, not for '*'.
+     * @param {string} key - Cache key, or '*' for every key
+     * @param {Function} handler - Receives {key, type, value, origin: 'local'|'remote'}
+     * @returns {Function} Unsubscribes the handler
+     */
+    subscribe(key, handler) {
+      const isFirst = !listeners.has(key);
+      if (isFirst) listeners.set(key, new Set());
+      listeners.get(key).add(handler);
+
+      if (isFirst && key !== '*') {
+        readWrapped(key).then((wrapped) => {
+          if (listeners.has(key) && !expiryTimers.has(key)) scheduleExpiry(key, wrapped);
+        });
+      }
+
+      return () => this.unsubscribe(key, handler);
+    },
+
+    /**
+     * Remove a handler added with subscribe()
+     * @param {string} key - Cache key, or '*'
+     * @param {Function} handler - The handler passed to subscribe()
+     */
+    unsubscribe(key, handler) {
+      const handlers = listeners.get(key);
+      if (!handlers) return;
+
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        listeners.delete(key);
+        cancelExpiry(key);
+      }
+    },
+
+    /**
+     * Listen for changes to a key (alias of subscribe())
+     * @param {string} key - Cache key, or '*' for every key
+     * @param {Function} callback - Receives {key, type, value, origin}
+     * @returns {Function} Stops listening
+     */
+    onChange(key, callback) {
+      return this.subscribe(key, callback);
+    },
+
+    /**
+     * Run a task that refreshes a key, coordinated across tabs
+     * With `wait: false` the task is skipped while another tab runs one for
+     * the same key; that tab's result arrives through onChange()
+     * @param {string} key - Cache key the task refreshes
+     * @param {Function} task - Async work to run
+     * @param {Object} options - Options
+     * @param {boolean} options.wait - Wait for the other tab rather than skip (default: true)
+     * @returns {Promise<{ran: boolean, value: *}>}
+     */
+    runExclusive(key, task, options = {}) {
+      const { wait = true } = options;
+      return runLocked(key, task, wait);
+    },
+
+    /**
+     * Drop the Cache API bucket without touching localStorage or memory
+     * Used when a new build may have changed the shape of cached responses
+     * @returns {Promise<boolean>} Whether a bucket was deleted
+     */
+    async clearCacheAPI() {
+      if (!hasCacheAPI) return false;
+      try {
+        return await caches.delete(CACHE_NAME);
+      } catch (e) {
+        return false;
+      }
+    },
+
+    /**
+     * Adjust the storage budget
+     * Evicts least recently used entries right away if the new budget is smaller
+     * @param {Object} options
+     * @param {number} [options.maxBytes] - Byte budget across cached entries
+     * @param {number} [options.maxEntries] - Maximum number of entries
+     * @param {number} [options.staleRetention] - How long expired entries survive the startup sweep
+     */
+    configure(options = {}) {
+      ['maxBytes', 'maxEntries', 'staleRetention'].forEach((option) => {
+        if (typeof options[option] === 'number' && options[option] >= 0) {
+          budget[option] = options[option];
+        }
+      });
+
+      while (usage.size > budget.maxEntries || getTotalBytes() > budget.maxBytes) {
+        if (!evictLeastRecentlyUsed(null)) break;
+      }
+      while (memoryCache.size > budget.maxEntries) {
+        memoryCache.delete(memoryCache.keys().next().value);
+      }
+    },
+
+    /**
+     * Drop entries that expired longer than the stale retention window ago,
+     * plus anything the usage index and the stores disagree on. Entries from
+     * older schemas are migrated, and data under retired namespaces removed.
+     * Runs once at startup; safe to call again
+     * @returns {Promise<number>} Number of entries (and legacy buckets) swept
+     */
+    async sweep() {
+      const swept = sweepLocalStorage();
+      const [legacySwept, cacheSwept, dbSwept] = await Promise.all([
+        sweepLegacy(),
+        sweepCacheAPI(),
+        sweepIndexedDB()
+      ]);
+      return swept + legacySwept + cacheSwept + dbSwept;
     },
 
     /**
@@ -347,38 +1455,123 @@ const StorageService = (function() {
      */
     async preload(items) {
       const promises = items.map(item =>
-        this.set(item.key, item.data, item.ttl || DEFAULT_TTL)
+        this.set(item.key, item.data, item.ttl ?? DEFAULT_TTL)
       );
       await Promise.all(promises);
     },
 
+    /**
+     * List every stored entry across all tiers with its freshness
+     * For diagnostics: entries are read as stored (not migrated) and the
+     * reads don't count towards LRU recency
+     * @returns {Promise<Array<{key: string, tiers: string[], bytes: number|null, schema: number, timestamp: number|null, ttl: number|null, stale: boolean, expired: boolean}>>}
+     */
+    async inspect() {
+      const entries = new Map();
+      const add = (key, tier, wrapped) => {
+        const existing = entries.get(key);
+        if (existing) {
+          existing.tiers.push(tier);
+          return;
+        }
+        entries.set(key, {
+          key,
+          tiers: [tier],
+          bytes: usage.has(key) ? usage.get(key).bytes : null,
+          schema: (wrapped && wrapped.schema) || 1,
+          timestamp: (wrapped && wrapped.timestamp) || null,
+          ttl: (wrapped && wrapped.ttl) || null,
+          stale: isStale(wrapped),
+          expired: isExpired(wrapped)
+        });
+      };
+
+      try {
+        for (let i = 0; i < localStorage.length; i++) {
+          const cacheKey = localStorage.key(i);
+          if (!cacheKey || !cacheKey.startsWith('omc:')) continue;
+          let wrapped = null;
+          try {
+            wrapped = JSON.parse(localStorage.getItem(cacheKey));
+          } catch (e) {
+            // Listed as expired
+          }
+          add(cacheKey.slice(4), 'localStorage', wrapped);
+        }
+      } catch (e) {
+        // Ignore
+      }
+
+      memoryCache.forEach((wrapped, cacheKey) => add(cacheKey.slice(4), 'memory', wrapped));
+      (await listIndexedDB()).forEach(([key, wrapped]) => add(key, 'indexedDB', wrapped));
+
+      if (hasCacheAPI) {
+        try {
+          const cache = await caches.open(CACHE_NAME);
+          const requests = await cache.keys();
+          for (const request of requests) {
+            const segment = new URL(request.url).pathname.split('/').pop();
+            const response = await cache.match(request);
+            let wrapped = null;
+            try {
+              wrapped = response ? await response.json() : null;
+            } catch (e) {
+              // Listed as expired
+            }
+            add(decodeURIComponent(segment).replace(/^omc:/, ''), 'cacheAPI', wrapped);
+          }
+        } catch (e) {
+          // Ignore
+        }
+      }
+
+      return Array.from(entries.values()).sort((a, b) => a.key.localeCompare(b.key));
+    },
+
     /**
      * Get cache statistics
      * @returns {Object}
      */
     getStats() {
+      const keys = new Set();
       let localStorageCount = 0;
       try {
         for (let i = 0; i < localStorage.length; i++) {
           const key = localStorage.key(i);
           if (key && key.startsWith('omc:')) {
             localStorageCount++;
+            keys.add(key.slice(4));
           }
         }
       } catch (e) {
         // Ignore
       }
+      memoryCache.forEach((value, key) => keys.add(key.slice(4)));
+
+      const bytesByKey = {};
+      usage.forEach((entry, key) => {
+        bytesByKey[key] = entry.bytes;
+      });
 
       return {
+        keys: Array.from(keys).sort(),
         localStorageItems: localStorageCount,
         memoryCacheItems: memoryCache.size,
         pendingRevalidations: pendingRevalidations.size,
-        cacheAPIName: CACHE_NAME
+        cacheAPIName: CACHE_NAME,
+        schemaVersion: SCHEMA_VERSION,
+        indexedDBName: hasIndexedDB ? DB_NAME : null,
+        bytesUsed: getTotalBytes(),
+        bytesByKey,
+        budget: { ...budget }
       };
     }
   };
 })();
 
+// Sweep stale entries once per page load
+StorageService.sweep();
+
 // Export for module systems or attach to window
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StorageService;
@@ -0,0 +1,415 @@
+/**
+ * CommandPalette - Full-screen search and actions on Cmd/Ctrl+K
+ * Searches SearchService's index and groups results (Sections, Agents, Modes,
+ * CLI flags, Env vars); shows recent queries and actions when empty, and only
+ * actions for queries starting with `>`
+ */
+
+import { APP_CONFIG } from '../config.js';
+import { tokenize } from '../services/searchIndex.js';
+import { toggleTheme } from './theme.js';
+
+/** localStorage key for recent queries; outside storageService so clearing caches keeps them */
+const RECENT_KEY = 'omc-recent-searches';
+
+/** Recent queries kept */
+const MAX_RECENT = 5;
+
+/** Results fetched from the index per query, before grouping */
+const MAX_RESULTS = 30;
+
+/** Results shown per group */
+const MAX_PER_GROUP = 5;
+
+/** Set on the overlay while the palette is open; SearchService shares the overlay */
+const PALETTE_CLASS = 'search-overlay--palette';
+
+/** Queries starting with this search actions only */
+const COMMAND_PREFIX = '>';
+
+/** Copied by the "Copy install command" action - same as the landing page */
+const INSTALL_COMMAND = `npm install -g oh-my-claude-sisyphus@${APP_CONFIG.version}`;
+
+/**
+ * Result groups; a result joins the first group it matches
+ * Groups are shown in the order of their best result.
+ */
+const GROUPS = [
+  { label: 'CLI flags', matches: result => result.kind === 'flag' || result.id === 'cli-launch-flags' },
+  { label: 'Env vars', matches: result => result.kind === 'env' || result.id === 'notify-env-vars' },
+  { label: 'Agents', matches: result => result.kind === 'agent' || /\bagents?\b|agent catalog/i.test(result.context) },
+  { label: 'Modes', matches: result => result.kind === 'keyword' || /execution modes|magic keywords/i.test(result.context) },
+  { label: 'Sections', matches: () => true }
+];
+
+/**
+ * @typedef {Object} PaletteAction
+ * @property {string} label - Shown and matched against the query
+ * @property {string} [hint] - Secondary text
+ * @property {function(): (void|Promise<void>)} run
+ */
+
+/** @type {PaletteAction[]} */
+const DEFAULT_ACTIONS = [
+  {
+    label: 'Copy install command',
+    hint: INSTALL_COMMAND,
+    run: () => navigator.clipboard.writeText(INSTALL_COMMAND)
+  },
+  {
+    label: 'Toggle theme',
+    hint: 'Switch between dark and light',
+    run: () => { toggleTheme(); }
+  },
+  {
+    label: 'Open GitHub',
+    hint: APP_CONFIG.repoUrl.replace(/^https:\/\//, ''),
+    run: () => { window.open(APP_CONFIG.repoUrl, '_blank', 'noopener'); }
+  }
+];
+
+class CommandPalette {
+  /**
+   * @param {Object} options
+   * @param {import('./searchService.js').SearchService} options.search - Provides the index and navigation
+   * @param {string} [options.overlay='#search-overlay'] - Full-screen element the palette opens in
+   * @param {PaletteAction[]} [options.actions] - Extra actions, after the defaults
+   */
+  constructor(options = {}) {
+    this.search = options.search;
+    this.overlaySelector = options.overlay || '#search-overlay';
+    this.actions = [...DEFAULT_ACTIONS, ...(options.actions || [])];
+
+    this.overlay = null;
+    this.element = null;
+    this.input = null;
+    this.list = null;
+    /** @type {Array<{type: 'result'|'recent'|'action', value: *}>} Items in display order */
+    this.items = [];
+    this.selectedIndex = -1;
+    this.isOpen = false;
+    this.returnFocus = null;
+
+    this.init();
+  }
+
+  init() {
+    this.overlay = document.querySelector(this.overlaySelector);
+    if (!this.overlay) {
+      this.overlay = document.createElement('div');
+      this.overlay.id = this.overlaySelector.replace(/^#/, '');
+      this.overlay.className = 'search-overlay';
+      this.overlay.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(this.overlay);
+    }
+
+    this.createUI();
+    this.setupEventListeners();
+  }
+
+  createUI() {
+    this.element = document.createElement('div');
+    this.element.className = 'command-palette';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-label', 'Command palette');
+    this.element.innerHTML = `
+      <input
+        type="text"
+        class="command-palette__input"
+        placeholder="Search the site and docs, or type ${COMMAND_PREFIX} for commands"
+        aria-label="Search or run a command"
+        role="combobox"
+        aria-expanded="true"
+        aria-controls="command-palette-list"
+        autocomplete="off"
+        spellcheck="false"
+      />
+      <div id="command-palette-list" class="command-palette__list" role="listbox"></div>
+      <div class="command-palette__footer">
+        <kbd>↑</kbd><kbd>↓</kbd> navigate · <kbd>↵</kbd> select · <kbd>esc</kbd> close
+      </div>
+    `;
+
+    this.input = this.element.querySelector('.command-palette__input');
+    this.list = this.element.querySelector('.command-palette__list');
+  }
+
+  setupEventListeners() {
+    document.addEventListener('keydown', (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+
+    this.input.addEventListener('input', () => this.update());
+
+    this.input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.select(this.selectedIndex + 1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.select(this.selectedIndex - 1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          this.activate(this.selectedIndex);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+        case 'Tab':
+          // The input is the only control; keep focus in the dialog
+          e.preventDefault();
+          break;
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.command-palette__item');
+      if (item) this.activate(Number(item.dataset.index));
+    });
+
+    // Clicking the backdrop closes
+    this.overlay.addEventListener('click', (e) => {
+      if (this.isOpen && e.target === this.overlay) this.close();
+    });
+  }
+
+  /**
+   * Re-render for the current query
+   * @returns {Promise<void>}
+   */
+  async update() {
+    const query = this.input.value.trim();
+    const groups = await this.getGroups(query);
+
+    // A newer keystroke may have changed the query while the index loaded
+    if (this.input.value.trim() !== query) return;
+    this.render(groups, query);
+  }
+
+  /**
+   * Work out what to show for a query
+   * @param {string} query
+   * @returns {Promise<Array<{label: string, items: Array<{type: string, value: *}>}>>}
+   */
+  async getGroups(query) {
+    if (query.startsWith(COMMAND_PREFIX)) {
+      return [{ label: 'Commands', items: this.filterActions(query.slice(COMMAND_PREFIX.length)) }];
+    }
+
+    if (query.length < this.search.minQueryLength) {
+      return [
+        { label: 'Recent searches', items: this.getRecent().map(value => ({ type: 'recent', value })) },
+        { label: 'Actions', items: this.filterActions('') }
+      ];
+    }
+
+    await this.search.ready;
+    const groups = new Map();
+    this.search.find(query, MAX_RESULTS).forEach(result => {
+      const { label } = GROUPS.find(group => group.matches(result));
+      if (!groups.has(label)) groups.set(label, []);
+
+      const items = groups.get(label);
+      if (items.length < MAX_PER_GROUP) items.push({ type: 'result', value: result });
+    });
+
+    return [
+      ...Array.from(groups, ([label, items]) => ({ label, items })),
+      { label: 'Actions', items: this.filterActions(query) }
+    ];
+  }
+
+  /**
+   * Actions whose label has a word starting with each query word
+   * @param {string} query
+   * @returns {Array<{type: 'action', value: PaletteAction}>}
+   */
+  filterActions(query) {
+    const words = tokenize(query);
+    return this.actions
+      .filter(action => {
+        const labelWords = tokenize(action.label);
+        return words.every(word => labelWords.some(labelWord => labelWord.startsWith(word)));
+      })
+      .map(value => ({ type: 'action', value }));
+  }
+
+  render(groups, query) {
+    this.items = [];
+    const html = groups
+      .filter(group => group.items.length > 0)
+      .map(group => `
+        <div class="command-palette__group" role="group" aria-label="${this.search.escapeHtml(group.label)}">
+          <div class="command-palette__group-label" aria-hidden="true">${this.search.escapeHtml(group.label)}</div>
+          ${group.items.map(item => this.renderItem(item, query)).join('')}
+        </div>
+      `)
+      .join('');
+
+    this.list.innerHTML = html || `
+      <div class="command-palette__empty">
+        No results for "${this.search.escapeHtml(query)}"
+      </div>
+    `;
+    this.select(0);
+  }
+
+  renderItem(item, query) {
+    const index = this.items.push(item) - 1;
+    let text;
+    let meta = '';
+
+    if (item.type === 'result') {
+      const result = item.value;
+      const page = result.page === this.search.pageIndex ? null : this.search.index.pages[result.page];
+      text = this.search.highlightMatch(result.text, query);
+      if (result.type === 'entity') {
+        text = `<code>${text}</code>`;
+        if (result.description) text += ` — ${this.search.highlightMatch(result.description, query)}`;
+      }
+      meta = [...(result.details || []), result.context, page?.title]
+        .filter(Boolean)
+        .map(part => this.search.escapeHtml(part))
+        .join(' · ');
+    } else if (item.type === 'recent') {
+      text = this.search.escapeHtml(item.value);
+    } else {
+      text = this.search.escapeHtml(item.value.label);
+      meta = item.value.hint ? this.search.escapeHtml(item.value.hint) : '';
+    }
+
+    return `
+      <div
+        id="command-palette-item-${index}"
+        class="command-palette__item command-palette__item--${item.type}"
+        data-index="${index}"
+        role="option"
+        aria-selected="false"
+      >
+        <span class="command-palette__item-text">${text}</span>
+        ${meta ? `<span class="command-palette__item-meta">${meta}</span>` : ''}
+      </div>
+    `;
+  }
+
+  select(index) {
+    const elements = this.list.querySelectorAll('.command-palette__item');
+    if (elements.length === 0) {
+      this.selectedIndex = -1;
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.selectedIndex = (index + elements.length) % elements.length;
+    elements.forEach((element, i) => {
+      element.classList.toggle('selected', i === this.selectedIndex);
+      element.setAttribute('aria-selected', i === this.selectedIndex);
+    });
+
+    const selected = elements[this.selectedIndex];
+    this.input.setAttribute('aria-activedescendant', selected.id);
+    selected.scrollIntoView({ block: 'nearest' });
+  }
+
+  activate(index) {
+    const item = this.items[index];
+    if (!item) return;
+
+    switch (item.type) {
+      case 'result':
+        this.remember(this.input.value.trim());
+        this.close();
+        this.search.navigate(item.value.url);
+        break;
+      case 'recent':
+        this.input.value = item.value;
+        this.update();
+        break;
+      case 'action':
+        this.close();
+        Promise.resolve()
+          .then(() => item.value.run())
+          .catch(error => console.debug(`[CommandPalette] "${item.value.label}" failed:`, error));
+        break;
+    }
+  }
+
+  /**
+   * Recent queries, newest first
+   * @returns {string[]}
+   */
+  getRecent() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(RECENT_KEY));
+      return Array.isArray(saved) ? saved.filter(query => typeof query === 'string').slice(0, MAX_RECENT) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Move a query to the front of the recent list
+   * @param {string} query
+   */
+  remember(query) {
+    if (!query) return;
+
+    const recent = [query, ...this.getRecent().filter(saved => saved !== query)].slice(0, MAX_RECENT);
+    try {
+      localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+    } catch (error) {
+      // Storage unavailable - recents last for this page only
+    }
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    // Hand over from the inline dropdown, which shares the arrow and Enter keys
+    this.search.close();
+    this.returnFocus = document.activeElement;
+
+    this.isOpen = true;
+    this.overlay.appendChild(this.element);
+    this.overlay.classList.add('visible', PALETTE_CLASS);
+    this.overlay.setAttribute('aria-hidden', 'false');
+
+    this.input.value = '';
+    this.update();
+    this.input.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.overlay.classList.remove('visible', PALETTE_CLASS);
+    this.overlay.setAttribute('aria-hidden', 'true');
+    this.element.remove();
+
+    // Not back into the search box - focusing it reopens the dropdown
+    if (this.returnFocus && this.returnFocus !== this.search.searchInput) {
+      this.returnFocus.focus?.();
+    }
+    this.returnFocus = null;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+}
+
+export { CommandPalette };
+export default CommandPalette;
@@ -0,0 +1,367 @@
+/**
+ * Debug Panel Module
+ * Hidden diagnostics overlay for cache, stats and service worker state
+ *
+ * Opens with Ctrl+Shift+D (⌘⇧D on macOS), or on load when the URL has
+ * `?debug=1`. Everything shown is read-only; the two actions clear every
+ * cache tier and force a live stats refresh.
+ */
+
+import { featureFlags } from '../services/featureFlags.js';
+import { statsService } from '../services/statsService.js';
+import { storageService } from '../services/storageService.js';
+
+/** Query parameter that opens the panel on load */
+const DEBUG_PARAM = 'debug';
+
+/** Panel element, created on first open */
+let panel = null;
+
+/** Stops listening for storage changes while the panel is open */
+let unsubscribe = null;
+
+/** Force-refresh action supplied by the page */
+let refreshHandler = () => statsService.refresh();
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+};
+
+/**
+ * Format a duration compactly (e.g. "45s", "12m", "3h", "2d")
+ * @param {number|null} ms
+ * @returns {string}
+ */
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return '—';
+  const seconds = Math.round(Math.abs(ms) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+  return `${Math.round(seconds / 86400)}d`;
+};
+
+/**
+ * Format a byte count (e.g. "812 B", "14.2 KB")
+ * @param {number|null} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Format an ISO timestamp as an age ("3m ago")
+ * @param {string|number|null} timestamp
+ * @returns {string}
+ */
+const formatAge = (timestamp) => {
+  if (!timestamp) return '—';
+  const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return Number.isNaN(time) ? '—' : `${formatDuration(Date.now() - time)} ago`;
+};
+
+/**
+ * Render a key/value list
+ * @param {Object} values
+ * @returns {string} HTML
+ */
+const renderList = (values) => `
+  <dl class="debug-panel__list">
+    ${Object.entries(values).map(([label, value]) => `
+      <dt>${escapeHtml(label)}</dt>
+      <dd>${escapeHtml(typeof value === 'object' && value !== null ? JSON.stringify(value) : value)}</dd>
+    `).join('')}
+  </dl>
+`;
+
+/**
+ * Render a table
+ * @param {string[]} headings
+ * @param {Array<Array<string>>} rows - Cells as pre-escaped HTML
+ * @param {string} empty - Shown when there are no rows
+ * @returns {string} HTML
+ */
+const renderTable = (headings, rows, empty) => {
+  if (rows.length === 0) {
+    return `<p class="debug-panel__empty">${escapeHtml(empty)}</p>`;
+  }
+
+  return `
+    <table class="debug-panel__table">
+      <thead><tr>${headings.map((heading) => `<th scope="col">${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>
+  `;
+};
+
+/**
+ * Freshness badge for a cache entry
+ * @param {Object} entry - From storageService.inspect()
+ * @returns {string} HTML
+ */
+const renderState = (entry) => {
+  const state = entry.expired ? 'expired' : entry.stale ? 'stale' : 'fresh';
+  return `<span class="debug-panel__state debug-panel__state--${state}">${state}</span>`;
+};
+
+/**
+ * Storage section: getStats() summary plus every cached key
+ * @returns {Promise<string>} HTML
+ */
+const renderStorage = async () => {
+  const { keys, bytesByKey, ...summary } = storageService.getStats();
+  const entries = await storageService.inspect();
+
+  const rows = entries.map((entry) => [
+    `<code>${escapeHtml(entry.key)}</code>`,
+    escapeHtml(entry.tiers.join(', ')),
+    escapeHtml(formatBytes(entry.bytes)),
+    escapeHtml(entry.timestamp ? formatDuration(Date.now() - entry.timestamp) : '—'),
+    escapeHtml(formatDuration(entry.ttl)),
+    renderState(entry),
+  ]);
+
+  return `
+    ${renderList(summary)}
+    ${renderTable(['Key', 'Tiers', 'Size', 'Age', 'TTL', 'State'], rows, 'Nothing cached')}
+  `;
+};
+
+/**
+ * Stats providers: fields with their provenance, last fetch and last error
+ * @returns {string} HTML
+ */
+const renderProviders = () => {
+  const stats = storageService.getEntry('stats');
+  const provenance = stats?.data?.provenance || {};
+
+  const rows = Object.entries(statsService.getProviderStatus()).map(([name, status]) => {
+    const fields = status.fields.map((field) => {
+      const source = provenance[field]?.source || 'none';
+      return `<code>${escapeHtml(field)}</code>: ${escapeHtml(source)}`;
+    }).join('<br>');
+
+    return [
+      `<code>${escapeHtml(name)}</code>`,
+      fields,
+      escapeHtml(formatAge(status.lastFetched)),
+      escapeHtml(formatDuration(status.ttl)),
+      status.lastError
+        ? `<span class="debug-panel__error">${escapeHtml(status.lastError)}</span>`
+        : '—',
+    ];
+  });
+
+  return `
+    ${renderTable(['Provider', 'Provenance', 'Last fetch', 'TTL', 'Last error'], rows, 'No providers registered')}
+    ${stats ? renderList({ 'Stats updated': formatAge(stats.data?.updatedAt) }) : ''}
+  `;
+};
+
+/**
+ * Feature flags: effective value and the layer it came from
+ * @returns {string} HTML
+ */
+const renderFlags = () => {
+  const rows = Object.entries(featureFlags.getState()).map(([name, state]) => [
+    `<code>${escapeHtml(name)}</code>`,
+    `<span class="debug-panel__state debug-panel__state--${state.value ? 'fresh' : 'expired'}">${state.value ? 'on' : 'off'}</span>`,
+    escapeHtml(state.source),
+  ]);
+
+  return renderTable(['Flag', 'Value', 'Source'], rows, 'No flags defined');
+};
+
+/**
+ * Describe a service worker by state and the versions in its script URL
+ * @param {ServiceWorker|null} worker
+ * @returns {string}
+ */
+const describeWorker = (worker) => {
+  if (!worker) return '—';
+  const params = new URL(worker.scriptURL).searchParams;
+  return `${worker.state} (app ${params.get('app') || '?'}, cache ${params.get('v') || '?'})`;
+};
+
+/**
+ * Service worker registration state
+ * @returns {Promise<string>} HTML
+ */
+const renderServiceWorker = async () => {
+  if (!('serviceWorker' in navigator)) {
+    return '<p class="debug-panel__empty">Service workers are not supported</p>';
+  }
+
+  const registration = await navigator.serviceWorker.getRegistration().catch(() => null);
+  if (!registration) {
+    return '<p class="debug-panel__empty">No service worker registered</p>';
+  }
+
+  return renderList({
+    Scope: registration.scope,
+    Controller: describeWorker(navigator.serviceWorker.controller),
+    Active: describeWorker(registration.active),
+    Waiting: describeWorker(registration.waiting),
+    Installing: describeWorker(registration.installing),
+  });
+};
+
+/**
+ * Re-render the panel contents
+ * @returns {Promise<void>}
+ */
+const render = async () => {
+  if (!panel) return;
+
+  const [storage, serviceWorker] = await Promise.all([renderStorage(), renderServiceWorker()]);
+
+  panel.querySelector('.debug-panel__body').innerHTML = `
+    <section class="debug-panel__section">
+      <h3>Storage</h3>
+      ${storage}
+    </section>
+    <section class="debug-panel__section">
+      <h3>Stats providers</h3>
+      ${renderProviders()}
+    </section>
+    <section class="debug-panel__section">
+      <h3>Feature flags</h3>
+      ${renderFlags()}
+    </section>
+    <section class="debug-panel__section">
+      <h3>Service worker</h3>
+      ${serviceWorker}
+    </section>
+  `;
+};
+
+/**
+ * Run a panel action with its button disabled
+ * @param {HTMLButtonElement} button
+ * @param {function(): Promise<*>} action
+ */
+const runAction = async (button, action) => {
+  button.disabled = true;
+  try {
+    await action();
+  } catch (error) {
+    console.debug('[DebugPanel] Action failed:', error);
+  } finally {
+    button.disabled = false;
+    render();
+  }
+};
+
+/**
+ * Build the panel element
+ * @returns {HTMLElement}
+ */
+const createPanel = () => {
+  const element = document.createElement('aside');
+  element.className = 'debug-panel';
+  element.setAttribute('role', 'dialog');
+  element.setAttribute('aria-labelledby', 'debug-panel-title');
+  element.innerHTML = `
+    <header class="debug-panel__header">
+      <h2 id="debug-panel-title" class="debug-panel__title">Diagnostics</h2>
+      <button type="button" class="btn btn--secondary btn--sm" data-debug-action="clear">Clear cache</button>
+      <button type="button" class="btn btn--primary btn--sm" data-debug-action="refresh">Force refresh</button>
+      <button type="button" class="debug-panel__close" data-debug-action="close" aria-label="Close diagnostics">×</button>
+    </header>
+    <div class="debug-panel__body"></div>
+  `;
+
+  element.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-debug-action]');
+    if (!button) return;
+
+    switch (button.dataset.debugAction) {
+      case 'clear':
+        runAction(button, () => storageService.clear());
+        break;
+      case 'refresh':
+        runAction(button, () => refreshHandler());
+        break;
+      case 'close':
+        closeDebugPanel();
+        break;
+    }
+  });
+
+  return element;
+};
+
+/**
+ * Show the panel
+ */
+export const openDebugPanel = () => {
+  if (!panel) panel = createPanel();
+  if (panel.isConnected) return;
+
+  document.body.appendChild(panel);
+  unsubscribe = storageService.subscribe('*', () => render());
+  render();
+  panel.querySelector('[data-debug-action="close"]').focus();
+};
+
+/**
+ * Hide the panel
+ */
+export const closeDebugPanel = () => {
+  if (!panel?.isConnected) return;
+
+  unsubscribe?.();
+  unsubscribe = null;
+  panel.remove();
+};
+
+/**
+ * Toggle the panel
+ */
+export const toggleDebugPanel = () => {
+  if (panel?.isConnected) {
+    closeDebugPanel();
+  } else {
+    openDebugPanel();
+  }
+};
+
+/**
+ * Wire up the key chord and the `?debug=1` switch
+ * @param {Object} options
+ * @param {function(): Promise<*>} [options.onRefresh] - Force-refresh action (default: statsService.refresh)
+ */
+export const initDebugPanel = (options = {}) => {
+  if (options.onRefresh) refreshHandler = options.onRefresh;
+
+  document.addEventListener('keydown', (event) => {
+    if ((event.metaKey || event.ctrlKey) && event.shiftKey && event.key.toLowerCase() === 'd') {
+      event.preventDefault();
+      toggleDebugPanel();
+    } else if (event.key === 'Escape' && panel?.isConnected) {
+      closeDebugPanel();
+    }
+  });
+
+  if (new URLSearchParams(window.location.search).get(DEBUG_PARAM) === '1') {
+    openDebugPanel();
+  }
+};
+
+export default {
+  initDebugPanel,
+  openDebugPanel,
+  closeDebugPanel,
+  toggleDebugPanel,
+};
@@ -0,0 +1,59 @@
+/**
+ * UI Messages
+ * Words around Intl-formatted values, for the languages the site has them in
+ *
+ * Intl formats numbers, dates and relative times for any locale, but not the
+ * phrase around them. A phrase is built in one language throughout: locales
+ * without messages here get the fallback language's words and formatting, so
+ * "updated" is never followed by "2분 전".
+ */
+
+import { LOCALE_CONFIG } from '../config.js';
+
+/**
+ * Messages by language subtag
+ * `updated`, `thisWeek` and `approximate` receive values already formatted for the language.
+ */
+const MESSAGES = {
+  en: {
+    updated: (time) => `updated ${time}`,
+    thisWeek: (count) => `+${count} this week`,
+    approximate: (source, date) => `Approximate: ${source}${date ? ` from ${date}` : ''}`,
+    sources: { 'local-json': 'snapshot', cache: 'cached value', fallback: 'last known value' },
+  },
+  ko: {
+    updated: (time) => `${time} 업데이트`,
+    thisWeek: (count) => `이번 주 +${count}`,
+    approximate: (source, date) => `근사값: ${source}${date ? ` (${date} 기준)` : ''}`,
+    sources: { 'local-json': '스냅샷', cache: '캐시된 값', fallback: '마지막으로 확인된 값' },
+  },
+  ja: {
+    updated: (time) => `${time}に更新`,
+    thisWeek: (count) => `今週 +${count}`,
+    approximate: (source, date) => `概算: ${source}${date ? `（${date}時点）` : ''}`,
+    sources: { 'local-json': 'スナップショット', cache: 'キャッシュ値', fallback: '最終確認値' },
+  },
+  zh: {
+    updated: (time) => `更新于${time}`,
+    thisWeek: (count) => `本周 +${count}`,
+    approximate: (source, date) => `近似值：${source}${date ? `（截至${date}）` : ''}`,
+    sources: { 'local-json': '快照', cache: '缓存值', fallback: '最后已知值' },
+  },
+};
+
+/**
+ * Messages for a locale, and the locale to format the values inside them with
+ * @param {string} locale - BCP 47 tag, e.g. from statsService.getLocale()
+ * @returns {{locale: string, messages: Object}} `locale` is the fallback when the language has no messages
+ */
+export const getMessages = (locale) => {
+  const language = String(locale).split('-')[0].toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(MESSAGES, language)) {
+    return { locale, messages: MESSAGES[language] };
+  }
+  return { locale: LOCALE_CONFIG.fallback, messages: MESSAGES[LOCALE_CONFIG.fallback] };
+};
+
+export default {
+  getMessages,
+};
@@ -0,0 +1,262 @@
+/**
+ * Release Notes Module
+ * Renders GitHub release notes into [data-release-feed] containers
+ *
+ * Markup:
+ *   <div data-release-feed data-release-limit="4"></div>
+ *   <div data-release-feed data-release-layout="details" data-release-limit="10">
+ *     ...static cards, kept until live data arrives...
+ *   </div>
+ *
+ * [data-release-latest] elements show the newest release: descendants with
+ * data-release-field="tag|version|name|title" get its text (after any
+ * data-release-prefix), links with data-release-field="url" its page, and
+ * [data-release-show] elements are unhidden. Until then their markup stands.
+ *
+ * Layouts: `cards` (What's New style, the default) and `details` (docs
+ * mode-card with a collapsible change list). Empty containers show skeletons
+ * while loading and render whatever is available, bundled notes included.
+ * Containers that already hold static markup only swap it out for live data.
+ */
+
+import { APP_CONFIG } from '../config.js';
+import { escapeHtml, releasesService } from '../services/releasesService.js';
+import { statsService } from '../services/statsService.js';
+import { Skeletons } from './skeletons.js';
+
+/** Selector for feed containers */
+const FEED_SELECTOR = '[data-release-feed]';
+
+/** Selector for latest-release headers */
+const LATEST_SELECTOR = '[data-release-latest]';
+
+/** Unsubscribe functions of the containers following release updates */
+const subscriptions = new WeakMap();
+
+/** Default number of releases per feed */
+const DEFAULT_LIMIT = 4;
+
+/**
+ * Link target for a release
+ * The URL comes from the GitHub API; anything but https falls back to the releases page
+ * @param {Object} release - Release from releasesService
+ * @returns {string}
+ */
+const getReleaseUrl = (release) => {
+  try {
+    if (new URL(release.url).protocol === 'https:') return release.url;
+  } catch (error) {
+    // Not an absolute URL
+  }
+  return `${APP_CONFIG.repoUrl}/releases`;
+};
+
+/**
+ * Format a release date for display
+ * @param {string|null} publishedAt - ISO timestamp
+ * @returns {string} Empty when the date is unknown
+ */
+const formatDate = (publishedAt) => {
+  if (!publishedAt) return '';
+  const date = new Date(publishedAt);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return `<time class="release-card__date" datetime="${escapeHtml(publishedAt)}">${escapeHtml(
+    date.toLocaleDateString(statsService.getLocale(), { year: 'numeric', month: 'short', day: 'numeric' })
+  )}</time>`;
+};
+
+/**
+ * Release title without the tag
+ * Titles sometimes repeat the tag ("v4.13.0 - Foo"); drop it where the tag is shown anyway
+ * @param {Object} release - Release from releasesService
+ * @returns {string}
+ */
+const getTitle = (release) => {
+  const title = release.name.startsWith(release.tag)
+    ? release.name.slice(release.tag.length).replace(/^\s*[-:–—]?\s*/, '')
+    : release.name;
+  return title || release.name;
+};
+
+/**
+ * Build a What's New style card
+ * @param {Object} release - Release from releasesService
+ * @param {number} index - Position in the feed; the first (newest) is highlighted
+ * @returns {string} HTML
+ */
+const renderCard = (release, index) => `
+  <article class="whats-new-card release-card${index === 0 ? ' whats-new-card--premium' : ''}"${index === 0 ? ' data-tilt' : ''} data-release-version="${escapeHtml(release.version)}">
+    <div class="release-card__body">
+      <div class="release-card__meta">
+        <a class="release-card__tag" href="${escapeHtml(getReleaseUrl(release))}" target="_blank" rel="noopener">${escapeHtml(release.tag)}</a>
+        ${formatDate(release.publishedAt)}
+      </div>
+      <h3 class="whats-new-card__title">${escapeHtml(release.name)}</h3>
+      <div class="whats-new-card__desc release-card__notes">${release.html}</div>
+    </div>
+  </article>
+`;
+
+/**
+ * Build a docs style collapsible card
+ * @param {Object} release - Release from releasesService
+ * @param {number} index - Position in the feed; only the first starts open
+ * @returns {string} HTML
+ */
+const renderDetails = (release, index) => `
+  <div class="mode-card premium-card" data-tilt data-release-version="${escapeHtml(release.version)}">
+    <div class="mode-card__header">
+      <span class="mode-card__keyword">${escapeHtml(release.tag)}</span>
+      ${escapeHtml(getTitle(release))}
+    </div>
+    <details${index === 0 ? ' open' : ''}>
+      <summary>View changes in ${escapeHtml(release.tag)}</summary>
+      <div class="release-card__notes">${release.html}</div>
+      <p><a href="${escapeHtml(getReleaseUrl(release))}" target="_blank" rel="noopener">Release on GitHub</a></p>
+    </details>
+  </div>
+`;
+
+/**
+ * Render releases into a feed container
+ * @param {HTMLElement} container - Element with [data-release-feed]
+ * @param {Object[]} releases - Releases from releasesService
+ * @returns {boolean} Whether the container was updated
+ */
+export const renderReleases = (container, releases) => {
+  if (!Array.isArray(releases) || releases.length === 0) return false;
+
+  const render = container.dataset.releaseLayout === 'details' ? renderDetails : renderCard;
+  container.innerHTML = releases.map(render).join('');
+  container.dataset.releaseSource = releases[0].source;
+  return true;
+};
+
+/**
+ * Show a release in a latest-release header
+ * @param {HTMLElement} container - Element with [data-release-latest]
+ * @param {Object} [release] - Newest release from releasesService
+ * @returns {boolean} Whether the container was updated
+ */
+export const renderLatest = (container, release) => {
+  if (!release) return false;
+
+  const values = { ...release, title: getTitle(release) };
+  container.querySelectorAll('[data-release-field]').forEach((el) => {
+    const { releaseField: field, releasePrefix: prefix = '' } = el.dataset;
+    if (field === 'url') {
+      el.href = getReleaseUrl(release);
+    } else if (field in values) {
+      el.textContent = `${prefix}${values[field]}`;
+    }
+  });
+  container.querySelectorAll('[data-release-show]').forEach((el) => {
+    el.hidden = false;
+  });
+  container.dataset.releaseSource = release.source;
+  return true;
+};
+
+/**
+ * Follow a container's release list, replacing any earlier subscription
+ * @param {HTMLElement} container
+ * @param {number} limit - Number of releases
+ * @param {function(Object[]): void} render - Called with each newly stored list
+ * @returns {Function} Unsubscribes
+ */
+const follow = (container, limit, render) => {
+  subscriptions.get(container)?.();
+
+  const unsubscribe = releasesService.subscribe(limit, (releases) => {
+    if (releases) render(releases);
+  });
+  const stop = () => {
+    unsubscribe();
+    if (subscriptions.get(container) === stop) subscriptions.delete(container);
+  };
+
+  subscriptions.set(container, stop);
+  return stop;
+};
+
+/**
+ * Load the newest release into a latest-release header and keep it current
+ * Uses the same list as a feed with the same data-release-limit, so the two
+ * share one request.
+ * @param {HTMLElement} container - Element with [data-release-latest]
+ * @returns {Function} Cleanup function that stops following new releases
+ */
+export const loadLatest = (container) => {
+  const limit = parseInt(container.dataset.releaseLimit, 10) || DEFAULT_LIMIT;
+  const render = (releases) => renderLatest(container, releases[0]);
+
+  releasesService.getReleases(limit)
+    .then(render)
+    .catch((error) => console.debug('[ReleaseNotes] Failed to load the latest release:', error));
+
+  return follow(container, limit, render);
+};
+
+/**
+ * Load and render a single feed container and keep it current
+ * @param {HTMLElement} container - Element with [data-release-feed]
+ * @returns {Function} Cleanup function that stops following new releases
+ */
+export const loadFeed = (container) => {
+  const limit = parseInt(container.dataset.releaseLimit, 10) || DEFAULT_LIMIT;
+  const hasStaticContent = container.children.length > 0;
+
+  const apply = (releases) => {
+    // Bundled notes are no newer than hand-written markup - keep the latter
+    if (hasStaticContent && releases?.[0]?.source !== 'live') return false;
+    return renderReleases(container, releases);
+  };
+
+  if (!hasStaticContent) {
+    container.setAttribute('aria-busy', 'true');
+    container.appendChild(Skeletons.cardGrid(Math.min(limit, 3), { showAvatar: false }));
+  }
+
+  releasesService.getReleases(limit)
+    .then((releases) => {
+      if (!apply(releases) && !hasStaticContent) {
+        container.hidden = true;
+      }
+    })
+    .catch((error) => {
+      console.debug('[ReleaseNotes] Failed to load releases:', error);
+      if (!hasStaticContent) {
+        container.hidden = true;
+      }
+    })
+    .finally(() => {
+      container.removeAttribute('aria-busy');
+    });
+
+  // Re-render when a revalidation (here or in another tab) stores newer notes
+  return follow(container, limit, (releases) => {
+    if (apply(releases)) container.hidden = false;
+  });
+};
+
+/**
+ * Render every release feed and latest-release header on the page
+ * @param {ParentNode} [root=document] - Where to look for them
+ * @returns {Function} Cleanup function that stops following new releases
+ */
+export const initReleaseNotes = (root = document) => {
+  Skeletons.init();
+  const feeds = Array.from(root.querySelectorAll(FEED_SELECTOR));
+  const headers = Array.from(root.querySelectorAll(LATEST_SELECTOR));
+  const cleanups = [...feeds.map(loadFeed), ...headers.map(loadLatest)];
+  return () => cleanups.forEach((cleanup) => cleanup());
+};
+
+export default {
+  renderReleases,
+  renderLatest,
+  loadFeed,
+  loadLatest,
+  initReleaseNotes,
+};
@@ -1,11 +1,39 @@
 /**
- * SearchService - Documentation search with fuzzy matching
- * Builds index from headings and content, supports keyboard shortcuts
+ * SearchService - Site search with BM25 ranking, prefix and typo-tolerant matching
+ * Loads the prebuilt index of every page in SEARCH_CONFIG.pages (data/search-index.json,
+ * cached via storageService) and falls back to indexing the pages itself; results on
+ * another page link there, results on this one scroll; typed entities (agents, CLI
+ * flags, env vars, keywords) link to their exact row; supports keyboard shortcuts
  */
 
+import { API_ENDPOINTS, SEARCH_CONFIG, fromSiteRoot } from '../config.js';
+import { ENTITY_KINDS, SearchIndex, blockId, cleanText, createDocuments, parseEntity, tokenize } from '../services/searchIndex.js';
+import { storageService } from '../services/storageService.js';
+
+/** storageService key for the prebuilt index */
+const INDEX_KEY = 'search:index';
+
+/** How long the prebuilt index is cached (24 hours - it only changes on deploy) */
+const INDEX_TTL = 24 * 60 * 60 * 1000;
+
+/** Typed entities - agents, CLI flags, env vars, keywords (see searchIndex.js) */
+const ENTITY_SELECTOR = '[data-entity]';
+
+/**
+ * Path of a URL without a trailing index.html, so /docs/ and /docs/index.html match
+ * @param {string} url
+ * @returns {string}
+ */
+const pagePath = (url) => new URL(url, window.location.href).pathname.replace(/index\.html$/, '');
+
 class SearchService {
   constructor(options = {}) {
-    this.contentSelector = options.contentSelector || '.docs-content';
+    // Indexed pages ({path, title, content}); pages not listed only search themselves
+    this.pages = options.pages || SEARCH_CONFIG.pages;
+    this.pageIndex = this.pages.findIndex(page =>
+      pagePath(fromSiteRoot(page.path)) === pagePath(window.location.href)
+    );
+    this.contentSelector = options.contentSelector || this.pages[this.pageIndex]?.content || '.docs-content';
     this.headingSelector = options.headingSelector || 'h1, h2, h3, h4, h5, h6';
     this.textSelector = options.textSelector || 'p, li, td';
     this.searchInputSelector = options.searchInput || '#search-input';
@@ -14,8 +42,15 @@ class SearchService {
     this.minQueryLength = options.minQueryLength || 2;
     this.maxResults = options.maxResults || 10;
     this.debounceMs = options.debounceMs || 150;
-
-    this.index = [];
+    // Ranking field boosts, e.g. { title: 3, context: 1.5, body: 1 } (see DEFAULT_RANKING)
+    this.boosts = options.boosts || {};
+    // Prebuilt index to try first; null always indexes the page
+    this.indexUrl = options.indexUrl === undefined ? API_ENDPOINTS.local.searchIndex : options.indexUrl;
+
+    /** @type {SearchIndex|null} */
+    this.index = null;
+    /** @type {Promise<SearchIndex>|null} Resolves once the index is usable */
+    this.ready = null;
     this.searchInput = null;
     this.resultsContainer = null;
     this.overlay = null;
@@ -34,7 +69,8 @@ class SearchService {
       this.createSearchUI();
     }
 
-    this.buildIndex();
+    this.revealLinkedTarget();
+    this.ready = this.loadIndex();
     this.setupEventListeners();
     this.setupKeyboardShortcut();
   }
@@ -81,94 +117,191 @@ class SearchService {
     document.body.appendChild(this.overlay);
   }
 
-  buildIndex() {
-    const content = document.querySelector(this.contentSelector);
-    if (!content) return;
+  /**
+   * Scroll to the heading or entity named in the URL fragment if it only has an id now
+   * Results on other pages link to ids this service assigns, which don't exist
+   * yet when the browser looks for the fragment
+   */
+  revealLinkedTarget() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const missing = Boolean(id) && !document.getElementById(id);
+
+    this.assignIds();
+    if (missing) {
+      document.getElementById(id)?.scrollIntoView();
+    }
+  }
 
-    const headings = content.querySelectorAll(this.headingSelector);
-    const textElements = content.querySelectorAll(this.textSelector);
+  /**
+   * Use the prebuilt index if it still matches this page, else index the pages
+   * @returns {Promise<SearchIndex>}
+   */
+  async loadIndex() {
+    // Snapshot before awaiting - stat bindings may rewrite heading text meanwhile
+    const targets = this.assignIds().map(el => {
+      const block = this.toBlock(el);
+      return {
+        id: el.id,
+        text: block.entity ? parseEntity(block.parts).signature : cleanText(block.text)
+      };
+    });
 
-    // Index headings
-    headings.forEach(heading => {
-      const id = heading.id || this.generateId(heading);
-      if (!heading.id) heading.id = id;
+    if (this.indexUrl && this.pageIndex !== -1) {
+      try {
+        const json = await storageService.getStaleWhileRevalidate(INDEX_KEY, () => this.fetchIndex(), {
+          ttl: INDEX_TTL
+        });
+        const index = SearchIndex.fromJSON(json);
 
-      this.index.push({
-        type: 'heading',
-        level: parseInt(heading.tagName[1]),
-        text: this.cleanText(heading.textContent),
-        id: id,
-        context: this.getContext(heading),
-        weight: 7 - parseInt(heading.tagName[1]) // h1 = 6, h6 = 1
-      });
-    });
+        if (index && this.matchesPage(index, targets)) {
+          this.index = index;
+          return index;
+        }
 
-    // Index text content
-    textElements.forEach(el => {
-      const text = this.cleanText(el.textContent);
-      if (text.length < 20) return; // Skip short fragments
-
-      // Find nearest heading for context
-      const context = this.findNearestHeading(el);
-
-      this.index.push({
-        type: 'content',
-        text: text.slice(0, 200), // Limit length
-        id: context?.id || '',
-        context: context?.text || '',
-        weight: 1
-      });
+        // Built from another version of the page - fetch a fresh copy next time
+        storageService.remove(INDEX_KEY);
+      } catch (error) {
+        console.debug('[SearchService] Prebuilt index unavailable, indexing the pages:', error);
+      }
+    }
+
+    return this.buildIndex();
+  }
+
+  /**
+   * Fetch the prebuilt index
+   * @returns {Promise<Object>}
+   */
+  async fetchIndex() {
+    const response = await fetch(this.indexUrl, {
+      headers: { Accept: 'application/json' }
     });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
 
-    // Sort by weight
-    this.index.sort((a, b) => b.weight - a.weight);
+  /**
+   * Check that an index was built from the headings and entities on this page
+   * @param {SearchIndex} index
+   * @param {Array<{id: string, text: string}>} targets - Page headings and entities in order
+   * @returns {boolean}
+   */
+  matchesPage(index, targets) {
+    const page = index.pages[this.pageIndex];
+    if (!page || pagePath(fromSiteRoot(page.path)) !== pagePath(window.location.href)) return false;
+
+    const indexed = index.documents.filter(doc =>
+      (doc.type === 'heading' || doc.type === 'entity') && doc.page === this.pageIndex
+    );
+    return indexed.length === targets.length && indexed.every((doc, i) =>
+      doc.id === targets[i].id && doc.text === targets[i].text
+    );
   }
 
-  generateId(heading) {
-    const base = heading.textContent
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
+  /**
+   * Give every heading and entity an id so results can link to it
+   * Must stay in step with scripts/build-search-index.mjs
+   * @param {Document} [root] - Page to work on
+   * @param {string} [contentSelector] - Its content elements
+   * @returns {Element[]} Headings and entities in document order
+   */
+  assignIds(root = document, contentSelector = this.contentSelector) {
+    const targets = Array.from(root.querySelectorAll(contentSelector))
+      .flatMap(content => Array.from(content.querySelectorAll(`${this.headingSelector}, ${ENTITY_SELECTOR}`)));
+
+    targets.forEach(el => {
+      if (!el.id) el.id = this.generateId(el);
+    });
+    return targets;
+  }
 
-    let id = base;
-    let counter = 1;
-    while (document.getElementById(id)) {
-      id = `${base}-${counter++}`;
+  /**
+   * Index this page, plus the other listed pages fetched over the network
+   * Pages that fail to load are left out.
+   * @returns {Promise<SearchIndex>}
+   */
+  async buildIndex() {
+    if (this.pageIndex === -1) {
+      this.index = SearchIndex.build(createDocuments(this.readBlocks(document, this.contentSelector), -1));
+      return this.index;
     }
-    return id;
-  }
 
-  cleanText(text) {
-    return text
-      .replace(/\s+/g, ' ')
-      .replace(/\n/g, ' ')
-      .trim();
+    const sources = await Promise.all(this.pages.map((page, i) =>
+      i === this.pageIndex ? document : this.fetchPage(page)
+    ));
+
+    const documents = sources.flatMap((source, i) => {
+      if (!source) return [];
+      if (source !== document) this.assignIds(source, this.pages[i].content);
+      const selector = source === document ? this.contentSelector : this.pages[i].content;
+      return createDocuments(this.readBlocks(source, selector), i);
+    });
+
+    const pages = this.pages.map(({ path, title }) => ({ path, title }));
+    this.index = SearchIndex.build(documents, pages);
+    return this.index;
   }
 
-  getContext(element) {
-    const parent = element.closest('section, article, .section');
-    if (parent) {
-      const heading = parent.querySelector('h1, h2, h3');
-      if (heading && heading !== element) {
-        return this.cleanText(heading.textContent);
+  /**
+   * Fetch and parse another indexed page
+   * @param {{path: string}} page
+   * @returns {Promise<Document|null>} null if it can't be loaded
+   */
+  async fetchPage(page) {
+    try {
+      const response = await fetch(fromSiteRoot(page.path));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
+      return new DOMParser().parseFromString(await response.text(), 'text/html');
+    } catch (error) {
+      console.debug(`[SearchService] Could not index ${page.path}:`, error);
+      return null;
     }
-    return '';
-  }
-
-  findNearestHeading(element) {
-    let current = element;
-    while (current && current !== document.body) {
-      const prevHeading = current.previousElementSibling;
-      if (prevHeading && /^H[1-6]$/.test(prevHeading.tagName)) {
-        return {
-          id: prevHeading.id,
-          text: this.cleanText(prevHeading.textContent)
-        };
-      }
-      current = current.parentElement;
+  }
+
+  /**
+   * Headings, entities and text blocks in document order
+   * Text inside an entity is part of it, not indexed separately.
+   * @param {Document} root
+   * @param {string} contentSelector
+   * @returns {import('../services/searchIndex.js').SearchBlock[]}
+   */
+  readBlocks(root, contentSelector) {
+    const selector = `${this.headingSelector}, ${this.textSelector}, ${ENTITY_SELECTOR}`;
+    return Array.from(root.querySelectorAll(contentSelector)).flatMap(content =>
+      Array.from(content.querySelectorAll(selector))
+        .filter(el => !el.parentElement?.closest(ENTITY_SELECTOR))
+        .map(el => this.toBlock(el))
+    );
+  }
+
+  /**
+   * Describe an element for createDocuments()
+   * @param {Element} el
+   * @returns {import('../services/searchIndex.js').SearchBlock}
+   */
+  toBlock(el) {
+    const block = {
+      tag: el.tagName.toLowerCase(),
+      text: el.textContent,
+      id: el.id
+    };
+
+    if (el.dataset.entity) {
+      const cells = Array.from(el.querySelectorAll('td'), cell => cell.textContent);
+      block.entity = el.dataset.entity;
+      block.parts = cells.length > 0 ? cells : [el.textContent];
+      if (el.dataset.entityDescription) block.description = el.dataset.entityDescription;
     }
-    return null;
+    return block;
+  }
+
+  generateId(el) {
+    const root = el.ownerDocument;
+    return blockId(this.toBlock(el), id => Boolean(root.getElementById(id)));
   }
 
   setupEventListeners() {
@@ -185,9 +318,11 @@ class SearchService {
       this.open();
     });
 
-    // Click outside to close
+    // Click outside to close - not for clicks in the command palette, which shares
+    // the overlay (the path, since the palette may re-render the clicked item)
     document.addEventListener('click', (e) => {
-      if (!e.target.closest('.docs-search')) {
+      if (!this.isOpen || e.composedPath().some(el => el.classList?.contains('command-palette'))) return;
+      if (!this.searchInput.contains(e.target) && !this.resultsContainer.contains(e.target)) {
         this.close();
       }
     });
@@ -242,7 +377,7 @@ class SearchService {
            element.isContentEditable;
   }
 
-  performSearch(query) {
+  async performSearch(query) {
     query = query.trim();
 
     if (query.length < this.minQueryLength) {
@@ -250,66 +385,31 @@ class SearchService {
       return;
     }
 
-    const results = this.fuzzySearch(query);
+    await this.ready;
+    // A newer keystroke may have changed the query while the index loaded
+    if (this.searchInput.value.trim() !== query) return;
+
+    const results = this.find(query);
     this.renderResults(results, query);
   }
 
-  fuzzySearch(query) {
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/);
-    const results = [];
-
-    this.index.forEach(item => {
-      const textLower = item.text.toLowerCase();
-      let score = 0;
-
-      // Exact match
-      if (textLower.includes(queryLower)) {
-        score += 10;
-        if (textLower.startsWith(queryLower)) score += 5;
-      }
-
-      // Word boundary matches
-      queryWords.forEach(word => {
-        if (textLower.includes(word)) {
-          score += 3;
-          // Word boundary bonus
-          const regex = new RegExp(`\\b${word}`, 'i');
-          if (regex.test(item.text)) score += 2;
-        }
-      });
-
-      // Fuzzy match (character sequence)
-      if (this.fuzzyMatch(textLower, queryLower)) {
-        score += 2;
-      }
-
-      // Apply item weight
-      score *= item.weight;
-
-      if (score > 0) {
-        results.push({ ...item, score });
-      }
-    });
-
-    // Sort by score and return top results
-    return results
-      .sort((a, b) => b.score - a.score)
-      .slice(0, this.maxResults);
+  find(query, limit = this.maxResults) {
+    if (!this.index) return [];
+    return this.index.search(query, { limit, boosts: this.boosts })
+      .map(result => ({ ...result, url: this.resolveUrl(result) }));
   }
 
-  fuzzyMatch(text, pattern) {
-    let textIndex = 0;
-    let patternIndex = 0;
-
-    while (textIndex < text.length && patternIndex < pattern.length) {
-      if (text[textIndex] === pattern[patternIndex]) {
-        patternIndex++;
-      }
-      textIndex++;
-    }
-
-    return patternIndex === pattern.length;
+  /**
+   * Link to a result: a bare fragment on this page, a full URL on another
+   * @param {{id: string, page: number}} result
+   * @returns {string}
+   */
+  resolveUrl(result) {
+    const hash = result.id ? `#${encodeURIComponent(result.id)}` : '';
+    if (result.page === this.pageIndex) return hash;
+
+    const page = this.index.pages[result.page];
+    return page ? `${fromSiteRoot(page.path)}${hash}` : hash;
   }
 
   renderResults(results, query) {
@@ -323,21 +423,27 @@ class SearchService {
     }
 
     const html = results.map((result, index) => {
+      const page = result.page === this.pageIndex ? null : this.index.pages[result.page];
       const highlightedText = this.highlightMatch(result.text, query);
       const highlightedContext = result.context
         ? this.highlightMatch(result.context, query)
         : '';
+      const highlightedDescription = result.description
+        ? this.highlightMatch(result.description, query)
+        : '';
 
       return `
         <div
           class="search-result-item ${index === 0 ? 'selected' : ''}"
           data-index="${index}"
           data-id="${result.id}"
+          data-url="${this.escapeHtml(result.url)}"
           role="option"
           aria-selected="${index === 0}"
         >
-          <div class="search-result-type">${result.type === 'heading' ? 'Heading' : 'Content'}</div>
-          <div class="search-result-text">${highlightedText}</div>
+          <div class="search-result-type">${this.getTypeLabel(result)}${page ? ` · ${this.escapeHtml(page.title)}` : ''}</div>
+          <div class="search-result-text">${result.type === 'entity' ? `<code>${highlightedText}</code>` : highlightedText}${result.details?.length ? ` <span class="search-result-detail">${this.escapeHtml(result.details.join(' · '))}</span>` : ''}</div>
+          ${highlightedDescription ? `<div class="search-result-description">${highlightedDescription}</div>` : ''}
           ${highlightedContext ? `<div class="search-result-context">in ${highlightedContext}</div>` : ''}
         </div>
       `;
@@ -347,16 +453,26 @@ class SearchService {
     this.selectedIndex = 0;
   }
 
-  highlightMatch(text, query) {
-    const queryWords = query.toLowerCase().split(/\s+/).filter(w => w.length > 0);
-    let highlighted = this.escapeHtml(text);
-
-    queryWords.forEach(word => {
-      const regex = new RegExp(`(${word})`, 'gi');
-      highlighted = highlighted.replace(regex, '<mark>$1</mark>');
-    });
+  /**
+   * Label for a result: Heading, Content, or the entity kind (e.g. "CLI flag")
+   * @param {Object} result - From find()
+   * @returns {string}
+   */
+  getTypeLabel(result) {
+    if (result.type === 'entity') return ENTITY_KINDS[result.kind] || 'Reference';
+    return result.type === 'heading' ? 'Heading' : 'Content';
+  }
 
-    return highlighted;
+  highlightMatch(text, query) {
+    const queryWords = tokenize(query);
+    const highlighted = this.escapeHtml(text);
+    if (queryWords.length === 0) return highlighted;
+
+    // Highlight word starts, matching how the index treats each word as a prefix
+    // (never right after & or #, which would split an escaped entity)
+    const pattern = queryWords.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const regex = new RegExp(`(^|[^\\p{L}\\p{N}&#])(${pattern})`, 'giu');
+    return highlighted.replace(regex, '$1<mark>$2</mark>');
   }
 
   escapeHtml(text) {
@@ -407,15 +523,25 @@ class SearchService {
   }
 
   navigateToResult(resultItem) {
-    const id = resultItem.dataset.id;
-    if (id) {
-      const element = document.getElementById(id);
-      if (element) {
-        element.scrollIntoView({ behavior: 'smooth' });
-        element.focus({ preventScroll: true });
-      }
-    }
     this.close();
+    this.navigate(resultItem.dataset.url || `#${resultItem.dataset.id}`);
+  }
+
+  /**
+   * Go to a result URL from find(): scroll on this page, load another page
+   * @param {string} url
+   */
+  navigate(url) {
+    if (!url.startsWith('#')) {
+      window.location.assign(url);
+      return;
+    }
+
+    const element = url.length > 1 ? document.getElementById(decodeURIComponent(url.slice(1))) : null;
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth' });
+      element.focus({ preventScroll: true });
+    }
   }
 
   open() {
@@ -438,8 +564,8 @@ class SearchService {
 
   // Public API: Refresh index when content changes
   refresh() {
-    this.index = [];
-    this.buildIndex();
+    this.assignIds();
+    this.ready = this.buildIndex();
   }
 
   // Public API: Programmatic search
@@ -457,12 +583,5 @@ class SearchService {
   }
 }
 
-// Auto-initialize on DOM ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => new SearchService());
-} else {
-  new SearchService();
-}
-
 export { SearchService };
 export default SearchService;
@@ -0,0 +1,120 @@
+/**
+ * Service Worker Module
+ * Registers sw.js and shows the update toast when a new build is waiting
+ *
+ * Called by every entry point (js/main.js and the docs bootstrap), so visitors
+ * get offline support and update prompts whichever page they land on.
+ */
+
+import { APP_CONFIG as CONFIG, CACHE_CONFIG } from '../config.js';
+import { showUpdateToast } from './updateToast.js';
+
+/** How long to wait for the service worker to answer a version request */
+const SW_HANDSHAKE_TIMEOUT = 3000;
+
+/**
+ * Register the service worker and prompt when a new build is ready
+ * Both versions ride on the script URL, so a new release installs a new
+ * worker, which then waits for the user to accept the update prompt.
+ * Does nothing where service workers aren't supported.
+ */
+export const initServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  const url = new URL(CONFIG.serviceWorkerUrl);
+  url.searchParams.set('v', CACHE_CONFIG.version);
+  url.searchParams.set('app', CONFIG.version);
+
+  navigator.serviceWorker
+    .register(url.href)
+    .then((registration) => {
+      console.debug('[ServiceWorker] registered:', registration.scope);
+      watchForWorkerUpdate(registration);
+      checkWorkerVersion(registration);
+    })
+    .catch((error) => {
+      console.debug('[ServiceWorker] registration failed:', error);
+    });
+};
+
+/**
+ * Prompt when a new worker finishes installing behind the current one
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForWorkerUpdate(registration) {
+  // Nothing to update on the very first install
+  if (!navigator.serviceWorker.controller) return;
+
+  if (registration.waiting) {
+    promptForUpdate(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        promptForUpdate(worker);
+      }
+    });
+  });
+}
+
+/**
+ * Show the reload toast; accepting activates the waiting worker and reloads
+ * once it has taken control
+ * @param {ServiceWorker} worker - Installed, waiting worker
+ */
+function promptForUpdate(worker) {
+  showUpdateToast({
+    message: 'New docs available',
+    actionLabel: 'Reload',
+    onAccept: () => {
+      navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), {
+        once: true,
+      });
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    },
+  });
+}
+
+/**
+ * Ask a worker which versions it serves
+ * @param {ServiceWorker} worker
+ * @returns {Promise<{cacheVersion: string, appVersion: string}|null>} null if it doesn't answer
+ */
+function getWorkerVersion(worker) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), SW_HANDSHAKE_TIMEOUT);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+  });
+}
+
+/**
+ * Compare the controlling worker with this page and check for an update on mismatch
+ * Covers pages that loaded fresh from the network while an older worker is in charge
+ * @param {ServiceWorkerRegistration} registration
+ */
+async function checkWorkerVersion(registration) {
+  const controller = navigator.serviceWorker.controller;
+  if (!controller) return;
+
+  const version = await getWorkerVersion(controller);
+  if (!version) return;
+
+  if (version.appVersion !== CONFIG.version || version.cacheVersion !== CACHE_CONFIG.version) {
+    console.debug('[ServiceWorker] serves an older build:', version);
+    registration.update().catch(() => {});
+  }
+}
+
+export default {
+  initServiceWorker,
+};
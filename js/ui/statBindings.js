@@ -0,0 +1,245 @@
+/**
+ * Stat Bindings Module
+ * Fills elements marked with [data-stat] from StatsService data
+ *
+ * Markup:
+ *   <span data-stat="stars">---</span>
+ *   <span data-stat="downloads" data-stat-format="full" data-stat-animate>---</span>
+ *   <time data-stat="updatedAt" data-stat-format="relative"></time>
+ *   <time data-stat="updatedAt" data-stat-format="relative" data-stat-message="updated"></time>
+ *   <span data-stat="stars" data-stat-provenance>---</span>
+ *
+ * Formats: `compact` (1.5K, the default for numbers), `full` (1,532) and
+ * `relative` (3h ago, for ISO timestamps). All formats follow the locale set
+ * on statsService. Relative timestamps keep ticking while the page is open.
+ * [data-stat-message] names a phrase from ui/messages.js to wrap the value in
+ * ("updated 3h ago"); the phrase and the value are then rendered in the same
+ * language.
+ * Elements with [data-stat-provenance] are flagged when the value isn't live.
+ */
+
+import { ANIMATION_CONFIG, LOCALE_CONFIG, prefersReducedMotion } from '../config.js';
+import { statsService } from '../services/statsService.js';
+import { getMessages } from './messages.js';
+
+/** Selector for bound elements */
+const BINDING_SELECTOR = '[data-stat]';
+
+/** Selector for rendered relative timestamps that need to keep ticking */
+const RELATIVE_SELECTOR = '[data-stat][data-stat-format="relative"][data-stat-value]';
+
+/** Class added to provenance-tracked elements whose value isn't live */
+const APPROXIMATE_CLASS = 'is-approximate';
+
+/**
+ * Running count-up animations
+ * @type {WeakMap<Element, number>}
+ */
+const activeAnimations = new WeakMap();
+
+/**
+ * Interval that re-renders relative timestamps
+ * @type {number|null}
+ */
+let tickerId = null;
+
+/**
+ * Format a value without a surrounding phrase
+ * @param {*} value - Raw stat value
+ * @param {string} [format] - compact, full or relative
+ * @param {string} locale - BCP 47 tag
+ * @returns {string}
+ */
+const formatValue = (value, format, locale) => {
+  if (format === 'relative') {
+    return statsService.getRelativeTime(value, locale);
+  }
+
+  if (typeof value !== 'number') return String(value);
+
+  if (format === 'full') {
+    return value.toLocaleString(locale);
+  }
+
+  return statsService.formatNumber(value, locale);
+};
+
+/**
+ * Format a value for display
+ * @param {*} value - Raw stat value
+ * @param {string} [format] - compact, full or relative
+ * @param {string} [message] - Phrase from ui/messages.js to wrap the value in, e.g. `updated`
+ * @returns {string} Display text
+ */
+export const formatStat = (value, format, message) => {
+  if (value === undefined || value === null || value === '') return '---';
+
+  if (!message) {
+    return formatValue(value, format, statsService.getLocale());
+  }
+
+  const { locale, messages } = getMessages(statsService.getLocale());
+  const text = formatValue(value, format, locale);
+  return typeof messages[message] === 'function' ? messages[message](text) : text;
+};
+
+/**
+ * Animate a bound number from its previous value to the new one
+ * @param {HTMLElement} el - Bound element
+ * @param {number} from - Start value
+ * @param {number} to - End value
+ * @param {string} [format] - Display format
+ */
+const animateValue = (el, from, to, format) => {
+  cancelAnimationFrame(activeAnimations.get(el));
+
+  const duration = ANIMATION_CONFIG.duration * 2;
+  const start = performance.now();
+
+  const step = (now) => {
+    const progress = Math.min((now - start) / duration, 1);
+    // easeOutCubic
+    const eased = 1 - Math.pow(1 - progress, 3);
+    el.textContent = formatStat(Math.round(from + (to - from) * eased), format, el.dataset.statMessage);
+
+    if (progress < 1) {
+      activeAnimations.set(el, requestAnimationFrame(step));
+    } else {
+      activeAnimations.delete(el);
+    }
+  };
+
+  activeAnimations.set(el, requestAnimationFrame(step));
+};
+
+/**
+ * Reflect where a value came from on a provenance-tracked element
+ * @param {HTMLElement} el - Bound element
+ * @param {Object|null} provenance - Field provenance from statsService
+ */
+const applyProvenance = (el, provenance) => {
+  const source = provenance?.source || 'fallback';
+  el.dataset.statSource = source;
+
+  const approximate = source !== 'live';
+  el.classList.toggle(APPROXIMATE_CLASS, approximate);
+
+  if (!approximate) {
+    el.removeAttribute('title');
+    return;
+  }
+
+  const { locale, messages } = getMessages(statsService.getLocale());
+  const asOf = provenance?.timestamp
+    ? new Date(provenance.timestamp).toLocaleDateString(locale)
+    : '';
+  el.title = messages.approximate(messages.sources[source] || messages.sources.fallback, asOf);
+};
+
+/**
+ * Re-render relative timestamps so "2m ago" doesn't go stale
+ * Skips work while the tab is hidden and stops once none are left
+ */
+const tick = () => {
+  if (document.hidden) return;
+
+  const elements = document.querySelectorAll(RELATIVE_SELECTOR);
+  if (elements.length === 0) {
+    clearInterval(tickerId);
+    tickerId = null;
+    return;
+  }
+
+  elements.forEach((el) => {
+    el.textContent = formatStat(el.dataset.statValue, 'relative', el.dataset.statMessage);
+  });
+};
+
+/**
+ * Start the relative timestamp ticker if it isn't running
+ */
+const ensureTicker = () => {
+  if (tickerId === null) {
+    tickerId = setInterval(tick, LOCALE_CONFIG.tickInterval);
+  }
+};
+
+/**
+ * Render a single bound element
+ * @param {HTMLElement} el - Element with [data-stat]
+ * @param {Object} stats - Stats data from statsService
+ */
+export const bindElement = (el, stats) => {
+  const field = el.dataset.stat;
+  const value = stats[field];
+
+  // Leave static markup in place until the field has data
+  if (value === undefined || value === null) return;
+
+  const format = el.dataset.statFormat;
+  const previous = el.dataset.statValue;
+  el.dataset.statValue = String(value);
+
+  const from = Number(previous);
+  const shouldAnimate = el.hasAttribute('data-stat-animate') &&
+    typeof value === 'number' &&
+    previous !== undefined &&
+    !Number.isNaN(from) &&
+    from !== value &&
+    !prefersReducedMotion();
+
+  if (shouldAnimate) {
+    animateValue(el, from, value, format);
+  } else {
+    el.textContent = formatStat(value, format, el.dataset.statMessage);
+  }
+
+  if (format === 'relative') {
+    if (el.tagName === 'TIME') el.dateTime = String(value);
+    ensureTicker();
+  }
+
+  if (el.hasAttribute('data-stat-provenance')) {
+    applyProvenance(el, statsService.getProvenance(stats, field));
+  }
+};
+
+/**
+ * Render every bound element under a root
+ * @param {Object} stats - Stats data from statsService
+ * @param {ParentNode} [root=document] - Where to look for bindings
+ * @returns {number} Number of elements updated
+ */
+export const bindStats = (stats, root = document) => {
+  if (!stats) return 0;
+
+  const elements = root.querySelectorAll(BINDING_SELECTOR);
+  elements.forEach((el) => bindElement(el, stats));
+  return elements.length;
+};
+
+/**
+ * Load stats, render bindings and re-render whenever a background refresh lands
+ * @param {ParentNode} [root=document] - Where to look for bindings
+ * @param {function(): Promise<Object>} [load] - Where the stats come from; pages
+ *   that bind only content counts pass `() => statsService.getContentStats()`
+ *   to skip the GitHub and npm requests
+ * @returns {Function} Cleanup function that stops listening for refreshes
+ */
+export const initStatBindings = (root = document, load = () => statsService.get()) => {
+  const handleUpdate = (event) => bindStats(event.detail, root);
+
+  load()
+    .then((stats) => bindStats(stats, root))
+    .catch((error) => console.debug('[StatBindings] Failed to load stats:', error));
+
+  window.addEventListener('stats:updated', handleUpdate);
+  return () => window.removeEventListener('stats:updated', handleUpdate);
+};
+
+export default {
+  formatStat,
+  bindElement,
+  bindStats,
+  initStatBindings,
+};
@@ -0,0 +1,70 @@
+/**
+ * Theme Module
+ * Dark (default) or light color scheme, remembered across visits
+ *
+ * The light palette lives in css/redesign.css under `:root[data-theme="light"]`.
+ * index.html and docs/index.html apply the saved theme with an inline script in
+ * <head> so it is in place before first paint; keep STORAGE_KEY in sync with it.
+ */
+
+/** localStorage key for the chosen theme; outside storageService so clearing caches keeps it */
+const STORAGE_KEY = 'omc-theme';
+
+/** Supported themes, default first */
+const THEMES = ['dark', 'light'];
+
+/**
+ * Get the active theme
+ * @returns {'dark'|'light'}
+ */
+export const getTheme = () => (document.documentElement.dataset.theme === 'light' ? 'light' : 'dark');
+
+/**
+ * Apply a theme and remember it
+ * @param {'dark'|'light'} theme
+ * @returns {'dark'|'light'} The theme applied
+ */
+export const setTheme = (theme) => {
+  const applied = THEMES.includes(theme) ? theme : THEMES[0];
+
+  if (applied === THEMES[0]) {
+    delete document.documentElement.dataset.theme;
+  } else {
+    document.documentElement.dataset.theme = applied;
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, applied);
+  } catch (error) {
+    // Storage unavailable - the theme lasts for this page only
+  }
+
+  return applied;
+};
+
+/**
+ * Switch between dark and light
+ * @returns {'dark'|'light'} The theme applied
+ */
+export const toggleTheme = () => setTheme(getTheme() === 'light' ? 'dark' : 'light');
+
+/**
+ * Apply the remembered theme, if any
+ * Normally a no-op by now - the inline <head> script got there first - but
+ * keeps pages without that script consistent
+ */
+export const initTheme = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (THEMES.includes(saved)) setTheme(saved);
+  } catch (error) {
+    // Storage unavailable - keep the default
+  }
+};
+
+export default {
+  getTheme,
+  setTheme,
+  toggleTheme,
+  initTheme,
+};
@@ -0,0 +1,83 @@
+/**
+ * Update Toast Module
+ * Small, dismissible prompt shown when a new build of the site is ready
+ */
+
+import { prefersReducedMotion } from '../config.js';
+
+/** Currently visible toast, if any */
+let activeToast = null;
+
+/**
+ * Remove the visible toast
+ */
+export const hideUpdateToast = () => {
+  const toast = activeToast;
+  if (!toast) return;
+  activeToast = null;
+
+  if (prefersReducedMotion()) {
+    toast.remove();
+    return;
+  }
+
+  toast.classList.remove('toast-enter');
+  toast.classList.add('toast-exit');
+  toast.addEventListener('animationend', () => toast.remove(), { once: true });
+};
+
+/**
+ * Show the update prompt; does nothing if one is already on screen
+ * @param {Object} options
+ * @param {string} [options.message] - Prompt text
+ * @param {string} [options.actionLabel] - Accept button label
+ * @param {Function} options.onAccept - Called when the user accepts
+ * @returns {HTMLElement|null} The toast element
+ */
+export const showUpdateToast = (options = {}) => {
+  if (activeToast) return activeToast;
+
+  const {
+    message = 'New docs available',
+    actionLabel = 'Reload',
+    onAccept,
+  } = options;
+
+  const toast = document.createElement('div');
+  toast.className = 'update-toast';
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+  if (!prefersReducedMotion()) {
+    toast.classList.add('toast-enter');
+  }
+
+  const text = document.createElement('span');
+  text.className = 'update-toast__message';
+  text.textContent = message;
+
+  const accept = document.createElement('button');
+  accept.type = 'button';
+  accept.className = 'btn btn--primary btn--sm update-toast__action';
+  accept.textContent = actionLabel;
+  accept.addEventListener('click', () => {
+    accept.disabled = true;
+    onAccept?.();
+  });
+
+  const dismiss = document.createElement('button');
+  dismiss.type = 'button';
+  dismiss.className = 'update-toast__dismiss';
+  dismiss.setAttribute('aria-label', 'Dismiss');
+  dismiss.textContent = '×';
+  dismiss.addEventListener('click', hideUpdateToast);
+
+  toast.append(text, accept, dismiss);
+  document.body.appendChild(toast);
+  activeToast = toast;
+  return toast;
+};
+
+export default {
+  showUpdateToast,
+  hideUpdateToast,
+};
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Build data/search-index.json from the pages in SEARCH_CONFIG.pages
+ *
+ *   node scripts/build-search-index.mjs
+ *
+ * Run after editing any indexed page. SearchService checks the index against
+ * the current page's headings and indexes the pages itself when they disagree,
+ * so a stale file costs load time, never wrong results.
+ *
+ * No dependencies: the markup is regular enough to scan for the headings,
+ * text blocks and `data-entity` elements SearchService indexes (h1-h6, p, li,
+ * td inside each page's content elements). Heading and entity ids are assigned
+ * exactly as SearchService does.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { SEARCH_CONFIG } from '../js/config.js';
+import { SearchIndex, blockId, createDocuments } from '../js/services/searchIndex.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'data/search-index.json');
+
+/** Tags SearchService indexes (its default headingSelector and textSelector) */
+const BLOCK_TAG = /^(h[1-6]|p|li|td)$/;
+
+/** Tags scanned for: the indexed ones, plus those entities are marked up on */
+const SCANNED_TAG = /<(\/?)(h[1-6]|p|li|td|tr|span)\b([^>]*)>/gi;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', rarr: '→', larr: '←', copy: '©',
+};
+
+/**
+ * Decode HTML entities
+ * @param {string} text
+ * @returns {string}
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Text content of an HTML fragment
+ * @param {string} html
+ * @returns {string}
+ */
+const textContent = (html) => decodeEntities(html.replace(/<[^>]*>/g, ''));
+
+/**
+ * Inner HTML of every element matching a `tag.class` selector, in page order
+ * @param {string} html - Whole page
+ * @param {string} selector - e.g. `div.docs-content`
+ * @returns {string[]}
+ */
+const extractContent = (html, selector) => {
+  const [tagName, className] = selector.split('.');
+  const tag = new RegExp(`<(/?)${tagName}\\b([^>]*)>`, 'gi');
+  const hasClass = (attributes) => (/\sclass="([^"]*)"/.exec(attributes)?.[1] || '').split(/\s+/).includes(className);
+
+  const contents = [];
+  let start = -1;
+  let depth = 0;
+  let match;
+  while ((match = tag.exec(html))) {
+    const [, closing, attributes] = match;
+    if (start === -1) {
+      if (!closing && hasClass(attributes)) {
+        start = tag.lastIndex;
+        depth = 1;
+      }
+      continue;
+    }
+
+    depth += closing ? -1 : 1;
+    if (depth === 0) {
+      contents.push(html.slice(start, match.index));
+      start = -1;
+    }
+  }
+
+  if (start !== -1) throw new Error(`Unclosed ${selector} element`);
+  if (contents.length === 0) throw new Error(`No ${selector} element`);
+  return contents;
+};
+
+/**
+ * Headings, entities and text blocks in document order, as SearchService reads them
+ * @param {string} html - Whole page
+ * @param {string} selector - Content elements, as a `tag.class` selector
+ * @returns {import('../js/services/searchIndex.js').SearchBlock[]}
+ */
+const extractBlocks = (html, selector) => {
+  const page = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  const taken = new Set(Array.from(page.matchAll(/\sid="([^"]*)"/g), (match) => match[1]));
+  const blocks = [];
+
+  for (const content of extractContent(page, selector)) {
+    blocks.push(...readBlocks(content));
+  }
+
+  // Headings and entities without ids get the one SearchService would assign, in page order
+  blocks.forEach((block) => {
+    if ((/^h[1-6]$/.test(block.tag) || block.entity) && !block.id) {
+      block.id = blockId(block, (id) => taken.has(id));
+      taken.add(block.id);
+    }
+  });
+
+  return blocks;
+};
+
+/**
+ * Headings, entities and text blocks in one content element
+ * Text inside an entity belongs to it: its table cells become its parts and
+ * nothing else is indexed separately.
+ * @param {string} content - Inner HTML
+ * @returns {import('../js/services/searchIndex.js').SearchBlock[]}
+ */
+const readBlocks = (content) => {
+  const blocks = [];
+  const open = [];
+
+  for (const match of content.matchAll(SCANNED_TAG)) {
+    const [tag, closing, name, attributes] = match;
+    const tagName = name.toLowerCase();
+
+    if (!closing) {
+      const entity = /\sdata-entity="([^"]*)"/.exec(` ${attributes}`)?.[1];
+      const parent = open.findLast((entry) => entry.block?.entity)?.block;
+      let block = null;
+
+      if (entity || (BLOCK_TAG.test(tagName) && (!parent || tagName === 'td'))) {
+        block = { tag: tagName, text: '', id: /\sid="([^"]*)"/.exec(` ${attributes}`)?.[1] || '' };
+        if (entity) {
+          const description = /\sdata-entity-description="([^"]*)"/.exec(` ${attributes}`)?.[1];
+          Object.assign(block, { entity, parts: [] });
+          if (description) block.description = decodeEntities(description);
+        }
+        if (!parent) blocks.push(block);
+      }
+
+      // Other tr and span tags are tracked only so their closing tags pair up
+      open.push({ tag: tagName, block, cellOf: block && parent, start: match.index + tag.length });
+      continue;
+    }
+
+    const index = open.map((entry) => entry.tag).lastIndexOf(tagName);
+    if (index === -1) continue;
+    const [{ block, cellOf, start }] = open.splice(index, 1);
+    if (!block) continue;
+
+    block.text = textContent(content.slice(start, match.index));
+    if (cellOf) cellOf.parts.push(block.text);
+  }
+
+  // Entities without cells read as one part
+  blocks.forEach((block) => {
+    if (block.entity && block.parts.length === 0) block.parts = [block.text];
+  });
+
+  return blocks;
+};
+
+const documents = [];
+for (const [page, { path, content }] of SEARCH_CONFIG.pages.entries()) {
+  const html = await readFile(join(ROOT, path), 'utf8');
+  documents.push(...createDocuments(extractBlocks(html, content), page));
+}
+
+const pages = SEARCH_CONFIG.pages.map(({ path, title }) => ({ path, title }));
+const index = SearchIndex.build(documents, pages);
+await writeFile(OUTPUT, `${JSON.stringify(index)}\n`);
+
+console.log(`Indexed ${index.documents.length} documents from ${pages.length} pages, ${index.postings.size} terms -> ${OUTPUT}`);
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Append today's GitHub stars and npm downloads to data/stats-history.json
+ *
+ *   node scripts/update-stats-history.mjs           # fetch and append
+ *   node scripts/update-stats-history.mjs --check   # report only
+ *
+ * Run daily by .github/workflows/stats-history.yml; GITHUB_TOKEN, when set,
+ * authenticates the GitHub request. Both modes then report whether the series
+ * yields week and month deltas for every field when StatsService puts a
+ * snapshot for today on the end of it, i.e. whether the "+N this week" badges
+ * would render. Missing deltas are a warning, not a failure: the series only
+ * covers the windows once daily runs have filled it, and again after a gap.
+ * In GitHub Actions the report also goes to the job summary.
+ */
+
+import { appendFile, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { API_ENDPOINTS } from '../js/config.js';
+import { HISTORY_RANGES, getDelta, mergePoint, parseSeries } from '../js/services/statsHistory.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'data/stats-history.json');
+
+/** npm package whose downloads are tracked, as in StatsService */
+const NPM_PACKAGE = 'oh-my-claude-sisyphus';
+
+/** Fields the page shows deltas for */
+const FIELDS = ['stars', 'downloads'];
+
+/**
+ * GET a JSON API
+ * @param {string} url
+ * @param {Object<string, string>} [headers]
+ * @returns {Promise<Object>}
+ */
+const getJson = async (url, headers = {}) => {
+  const response = await fetch(url, { headers: { Accept: 'application/json', ...headers } });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Fetch today's point
+ * @returns {Promise<import('../js/services/statsHistory.js').HistoryPoint>}
+ */
+const fetchPoint = async () => {
+  const auth = process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {};
+  const [repo, npm] = await Promise.all([
+    getJson(API_ENDPOINTS.github.repo, { Accept: 'application/vnd.github.v3+json', ...auth }),
+    getJson(`${API_ENDPOINTS.npm.downloads}/last-month/${NPM_PACKAGE}`),
+  ]);
+
+  if (typeof repo.stargazers_count !== 'number' || typeof npm.downloads !== 'number') {
+    throw new Error('Unexpected API payload');
+  }
+  return { date: new Date().toISOString().slice(0, 10), stars: repo.stargazers_count, downloads: npm.downloads };
+};
+
+/**
+ * Serialize the file, one point per line
+ * @param {import('../js/services/statsHistory.js').HistoryPoint[]} series
+ * @returns {string}
+ */
+const format = (series) => {
+  const points = series.map(({ date, stars, downloads }) =>
+    `    { "date": "${date}", "stars": ${stars}, "downloads": ${downloads} }`);
+  return `{\n  "series": [\n${points.join(',\n')}\n  ],\n  "lastUpdated": "${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}"\n}\n`;
+};
+
+/**
+ * List the deltas the page couldn't show with this series
+ * @param {import('../js/services/statsHistory.js').HistoryPoint[]} series
+ * @returns {string[]} e.g. `stars week`; empty when all are available
+ */
+const findMissingDeltas = (series) => {
+  const latest = series[series.length - 1];
+  if (!latest) return ['all (empty series)'];
+
+  const points = mergePoint(series, { ...latest, date: new Date().toISOString().slice(0, 10) });
+  return FIELDS.flatMap((field) => ['week', 'month']
+    .filter((range) => getDelta(points, field, HISTORY_RANGES[range]) === null)
+    .map((range) => `${field} ${range}`));
+};
+
+/**
+ * Report a line on the console and, in GitHub Actions, in the job summary
+ * @param {'log'|'warn'} level
+ * @param {string} message
+ */
+const report = async (level, message) => {
+  console[level](level === 'warn' && process.env.GITHUB_ACTIONS ? `::warning::${message}` : message);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await appendFile(process.env.GITHUB_STEP_SUMMARY, `${message}\n`);
+  }
+};
+
+const checkOnly = process.argv.includes('--check');
+let series = parseSeries(JSON.parse(await readFile(OUTPUT, 'utf8')));
+
+if (!checkOnly) {
+  const point = await fetchPoint();
+  series = mergePoint(series, point);
+  await writeFile(OUTPUT, format(series));
+  console.log(`Recorded ${point.stars} stars, ${point.downloads} downloads for ${point.date} -> ${OUTPUT}`);
+}
+
+const missing = findMissingDeltas(series);
+if (missing.length > 0) {
+  await report('warn', `No delta for ${missing.join(', ')} yet: the series needs a point 7-14 and 30-60 days before today (${series.length} points, latest ${series[series.length - 1]?.date ?? 'missing'})`);
+} else {
+  await report('log', `Week and month deltas available for ${FIELDS.join(' and ')}`);
+}
@@ -0,0 +1,248 @@
+/**
+ * Service Worker - Oh My ClaudeCode Website
+ * Precaches the site shell so the docs work offline, and serves stats data
+ * stale-while-revalidate; GitHub API requests go straight to the network, where
+ * the page's GitHub client does its own ETag caching. Pages, scripts and styles
+ * are network-first, so a deploy never pairs fresh HTML with stale modules.
+ *
+ * Registered by js/ui/serviceWorker.js, from both the landing page and the docs,
+ * as `sw.js?v=<CACHE_CONFIG.version>&app=<OMC.version>`;
+ * a new release changes the URL, which installs a new worker that waits until
+ * the page accepts the update prompt. The script sits at the site root so its
+ * scope covers index.html and docs/ whether the site is served from `/` or a
+ * subpath. This is a classic script, so the endpoint hosts below mirror
+ * API_ENDPOINTS in js/config.js.
+ */
+
+'use strict';
+
+/** Versions this worker was registered with */
+const REGISTRATION_PARAMS = new URL(self.location.href).searchParams;
+const CACHE_VERSION = REGISTRATION_PARAMS.get('v') || '0';
+const APP_VERSION = REGISTRATION_PARAMS.get('app') || '0';
+
+/** Caches are keyed by both, so each release gets a fresh shell */
+const VERSION = `${CACHE_VERSION}-${APP_VERSION}`;
+
+/** Cache name prefix; keep distinct from StorageService's `omc-website-v*` bucket */
+const CACHE_PREFIX = 'omc-sw-';
+
+/** Site shell, cached at install */
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-v${VERSION}`;
+
+/** Stats data and API responses, cached as they are fetched */
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime-v${VERSION}`;
+
+/** Paths relative to the worker script (the site root) */
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'docs/',
+  'docs/index.html',
+  'css/design-system.css',
+  'css/base.css',
+  'css/components.css',
+  'css/animations.css',
+  'css/redesign.css',
+  'js/main.js',
+  'js/redesign.js',
+  'js/config.js',
+  'js/effects/particles.js',
+  'js/services/featureFlags.js',
+  'js/services/githubClient.js',
+  'js/services/refreshScheduler.js',
+  'js/services/releasesService.js',
+  'js/services/searchIndex.js',
+  'js/services/statsHistory.js',
+  'js/services/statsService.js',
+  'js/services/storageService.js',
+  'js/ui/accordion.js',
+  'js/ui/codeBlocks.js',
+  'js/ui/commandPalette.js',
+  'js/ui/debugPanel.js',
+  'js/ui/docs.css',
+  'js/ui/messages.js',
+  'js/ui/releaseNotes.js',
+  'js/ui/scrollReveal.js',
+  'js/ui/searchService.js',
+  'js/ui/serviceWorker.js',
+  'js/ui/sidebarSpy.js',
+  'js/ui/skeletons.js',
+  'js/ui/statBindings.js',
+  'js/ui/theme.js',
+  'js/ui/updateToast.js',
+];
+
+/** Same-origin data files served stale-while-revalidate */
+const DATA_PATTERN = /\/data\/[\w-]+\.json$/;
+
+/**
+ * Cross-origin API hosts from API_ENDPOINTS served stale-while-revalidate
+ * Not api.github.com: revalidation sends If-None-Match, GitHub answers 304 and
+ * the first cached 200 - with its X-RateLimit-* headers - would never be replaced
+ */
+const API_PATTERNS = [
+  /^https:\/\/api\.npmjs\.org\/downloads\//,
+  /^https:\/\/registry\.npmjs\.org\/oh-my-claude-sisyphus/,
+];
+
+/**
+ * Precache the site shell
+ * Each URL is cached on its own so one missing file doesn't fail the install
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE_NAME).then((cache) =>
+      Promise.all(
+        PRECACHE_URLS.map((url) =>
+          cache.add(new Request(url, { cache: 'reload' })).catch((error) => {
+            console.debug(`[SW] Failed to precache ${url}:`, error);
+          })
+        )
+      )
+    )
+  );
+});
+
+/**
+ * Drop caches left by previous versions of this worker
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Page handshake
+ * - GET_VERSION: reply on the provided port with the versions this worker serves
+ * - SKIP_WAITING: the user accepted the update prompt, take over now
+ */
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+
+  if (type === 'GET_VERSION') {
+    event.ports[0]?.postMessage({ type: 'VERSION', cacheVersion: CACHE_VERSION, appVersion: APP_VERSION });
+  } else if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && DATA_PATTERN.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, request));
+    return;
+  }
+
+  if (API_PATTERNS.some((pattern) => pattern.test(request.url))) {
+    event.respondWith(staleWhileRevalidate(event, request));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, matchAsset));
+  }
+});
+
+/**
+ * Pages and static assets: try the network so docs stay current and modules
+ * match the page that imports them, fall back to the precache offline
+ * @param {Request} request
+ * @param {function(Request): Promise<Response|undefined>} [matchCached] - Offline lookup
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, matchCached = matchPage) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.status === 200) {
+      const cache = await caches.open(PRECACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await matchCached(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Find a cached page, treating `dir/` and `dir/index.html` as the same page
+ * @param {Request} request
+ * @returns {Promise<Response|undefined>}
+ */
+async function matchPage(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const url = new URL(request.url);
+  const alternate = url.pathname.endsWith('/')
+    ? `${url.pathname}index.html`
+    : url.pathname.replace(/index\.html$/, '');
+
+  return caches.match(new URL(alternate, url.origin).href, { ignoreSearch: true });
+}
+
+/**
+ * Find a cached static asset, ignoring cache-busting query strings
+ * @param {Request} request
+ * @returns {Promise<Response|undefined>}
+ */
+function matchAsset(request) {
+  return caches.match(request, { ignoreSearch: true });
+}
+
+/**
+ * Data and API responses: answer from cache at once, revalidate in the background
+ * Requests the client asked to bypass the HTTP cache for still get the cached
+ * copy here; the page's own storage layer decides whether it is fresh enough.
+ * @param {FetchEvent} event
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(RUNTIME_NAME);
+  const cached = await cache.match(request);
+  const update = fetchAndCache(request, RUNTIME_NAME);
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * Fetch a request and store successful responses
+ * 304s and errors are passed through without touching the cache
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function fetchAndCache(request, cacheName) {
+  const response = await fetch(request);
+  if (response.ok && response.status === 200) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}